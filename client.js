@@ -1,162 +1,1140 @@
 /**
  * UniWRTC Client - WebRTC Signaling Client Library
- * Simplifies connection to the UniWRTC signaling server
+ * One ESM module for browsers, Node and Workers. Node without a global WebSocket
+ * uses the `ws` package; transports a runtime lacks (e.g. EventSource) are skipped.
  */
 
-class UniWRTCClient {
+// Transports carry the signaling protocol's JSON messages between the client and
+// the server. Each factory takes the client and { onMessage, onClose } and returns
+// { name, connect(), send(message), close() }:
+// - connect() resolves once the server's welcome has gone through onMessage, and
+//   rejects if the transport can't be used (the client then tries the next one)
+// - send() returns false when the message could not be sent
+// - onClose(unsent, reason) reports a connected transport that stopped working, with any
+//   messages it had accepted but could not deliver; reason is 'removed' when the server
+//   removed the client on purpose (an administrator kicked it), so it must not reconnect
+
+// WebSocket close code, HTTP status and SSE message type for a client the server removed on purpose
+const REMOVED_CLOSE_CODE = 4403;
+const REMOVED_STATUS = 410;
+
+function createWebSocketTransport(client, { onMessage, onClose }) {
+  let ws = null;
+
+  return {
+    name: 'websocket',
+
+    async connect() {
+      // Get WebSocket class (browser, Worker or Node.js)
+      const WSClass = typeof WebSocket !== 'undefined' ? WebSocket : (await import('ws')).default;
+
+      return new Promise((resolve, reject) => {
+        let welcomed = false;
+        // With a peer ID to request, connecting finishes once set-id has been answered
+        let renaming = Boolean(client.requestedPeerId());
+        const socket = new WSClass(client.getSocketUrl());
+        ws = socket;
+
+        socket.onopen = () => {
+          // Send custom (or resumed) peer ID if provided
+          if (renaming) {
+            socket.send(JSON.stringify({
+              type: 'set-id',
+              customId: client.requestedPeerId()
+            }));
+          }
+        };
+
+        socket.onmessage = (event) => {
+          try {
+            const message = JSON.parse(event.data);
+            if (renaming && welcomed && message.type === 'error') {
+              renaming = false;
+              reportRenameError(client, onMessage, message.message);
+              resolve();
+              return;
+            }
+            onMessage(message);
+            if (message.type !== 'welcome') return;
+            if (!welcomed) {
+              welcomed = true;
+              if (!renaming) resolve();
+            } else if (renaming) {
+              renaming = false;
+              resolve();
+            }
+          } catch (error) {
+            console.error('Error parsing message:', error);
+          }
+        };
+
+        socket.onclose = (event) => {
+          if (ws !== socket) return;
+          ws = null;
+          if (welcomed) onClose([], event.code === REMOVED_CLOSE_CODE ? 'removed' : undefined);
+          else reject(new Error('WebSocket closed before the server answered'));
+        };
+
+        socket.onerror = () => {
+          if (!welcomed) reject(new Error('WebSocket connection failed'));
+        };
+      });
+    },
+
+    send(message) {
+      if (!ws || ws.readyState !== ws.OPEN) return false;
+      ws.send(JSON.stringify(message));
+      return true;
+    },
+
+    close() {
+      const socket = ws;
+      ws = null;
+      socket?.close();
+    }
+  };
+}
+
+// A resumed ID may still be held by the server's stale copy of this client; only
+// a failed customPeerId is worth reporting, otherwise the new ID is simply kept
+function reportRenameError(client, onMessage, message) {
+  if (client.options.customPeerId) onMessage({ type: 'error', message });
+}
+
+// An HTTP error status, as opposed to a request that got no response
+class HttpError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Open an HTTP session for the polling and SSE transports: /api/connect, then
+// /api/set-id for a custom or resumed peer ID, so callers only ever see the final ID
+async function openHttpSession(client, onMessage, peerId = client.requestedPeerId()) {
+  onMessage(await client.request('connect', {}));
+  if (peerId && peerId !== client.clientId) {
+    try {
+      onMessage(await client.request('set-id', {
+        clientId: client.clientId,
+        customId: peerId
+      }));
+    } catch (error) {
+      reportRenameError(client, onMessage, error.message);
+    }
+  }
+}
+
+// Client messages over the HTTP API. `transport` pauses its receiver around
+// requests that rename the server-side client (set-id).
+// Replies carry the message's requestId, like the WebSocket server's.
+function sendHttp(client, transport, { requestId, ...message }, onMessage) {
+  const fail = (error) => {
+    // No HTTP response at all: the server is unreachable, so the transport is closed
+    // and the message handed back to be held until the client has reconnected
+    if (!(error instanceof HttpError)) return transport.lost({ ...message, requestId });
+    onMessage({ type: 'error', message: error.message, status: error.status, requestId });
+  };
+  // Acks such as { ok: true } are only passed on when a request waits for them
+  const replied = (data) => {
+    if (data.type) onMessage({ ...data, requestId });
+    else if (requestId) onMessage({ type: 'ack', requestId });
+  };
+
+  if (message.type === 'list-rooms') {
+    onMessage({ type: 'error', message: 'Room listing is not available over HTTP', requestId });
+    return true;
+  }
+
+  let pending;
+  if (message.type === 'leave') {
+    // Leave the session but keep the client (and its ID) for the next join
+    pending = client.request('leave-session', { clientId: client.clientId }).then(replied);
+  } else if (message.type === 'set-id') {
+    transport.pause();
+    pending = client.request('set-id', { clientId: client.clientId, customId: message.customId })
+      .then(replied)
+      .finally(() => transport.listen());
+  } else {
+    const endpoint = message.type === 'join' ? 'join' : 'signal';
+    pending = client.request(endpoint, { ...message, clientId: client.clientId }).then(replied);
+  }
+  pending.catch(fail);
+  return true;
+}
+
+// A server that answers polls at once (one that ignores ?wait=) is polled no more
+// often than this, doubling up to POLL_BACKOFF_MAX_MS while its polls come back empty
+const POLL_BACKOFF_MS = 500;
+const POLL_BACKOFF_MAX_MS = 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// HTTP long-poll over /api/poll
+function createPollingTransport(client, { onMessage, onClose }) {
+  let poller = null;
+  let opened = false;
+  let closed = false;
+  // Highest seq handled; sent as ?ack= so the server only drops what has been processed
+  let lastSeq = 0;
+
+  async function pollLoop(current) {
+    let emptyPolls = 0;
+    while (poller === current) {
+      try {
+        const startedAt = Date.now();
+        const response = await fetch(client.getApiUrl('poll', {
+          clientId: client.clientId,
+          ack: lastSeq,
+          wait: client.options.pollWait
+        }), { signal: current.signal });
+        const data = await response.json().catch(() => ({}));
+        if (poller !== current) return;
+
+        if (response.status === 404 || response.status === REMOVED_STATUS) {
+          // The server no longer knows this client (pruned or restarted), or removed it
+          poller = null;
+          onClose([], response.status === REMOVED_STATUS ? 'removed' : undefined);
+          return;
+        }
+        if (response.status === 429) {
+          const retryAfter = Number.parseInt(response.headers.get('Retry-After'), 10);
+          await sleep(Number.isFinite(retryAfter) ? retryAfter * 1000 : client.options.reconnectDelay);
+          continue;
+        }
+        if (!response.ok) throw new HttpError(data.message || `Poll failed with status ${response.status}`, response.status);
+
+        const messages = data.messages || [];
+        for (const message of messages) {
+          if (message.seq <= lastSeq) continue;
+          lastSeq = message.seq;
+          onMessage(message);
+        }
+
+        // Empty before the wait was up: don't spin against a server that doesn't hold polls
+        const elapsed = Date.now() - startedAt;
+        if (messages.length === 0 && elapsed < client.options.pollWait) {
+          emptyPolls += 1;
+          await sleep(Math.min(POLL_BACKOFF_MAX_MS, POLL_BACKOFF_MS * 2 ** (emptyPolls - 1)) - elapsed);
+        } else {
+          emptyPolls = 0;
+        }
+      } catch (error) {
+        if (poller !== current) return;
+        // Unreachable server: report the outage so the client reconnects
+        if (!(error instanceof HttpError)) return transport.lost();
+        console.warn('Poll failed, retrying:', error.message);
+        await sleep(client.options.reconnectDelay);
+      }
+    }
+  }
+
+  const transport = {
+    name: 'polling',
+
+    async connect(peerId) {
+      transport.pause();
+      lastSeq = 0;
+      await openHttpSession(client, onMessage, peerId);
+      opened = true;
+      transport.listen();
+    },
+
+    listen() {
+      transport.pause();
+      if (closed) return;
+      const controller = new AbortController();
+      poller = controller;
+      pollLoop(controller);
+    },
+
+    pause() {
+      poller?.abort();
+      poller = null;
+    },
+
+    send(message) {
+      return sendHttp(client, transport, message, onMessage);
+    },
+
+    // The server stopped answering; `message` is one it never got. Late failures
+    // are reported too, so the client can still hold their messages.
+    lost(message) {
+      closed = true;
+      transport.pause();
+      onClose(message ? [message] : []);
+    },
+
+    close() {
+      closed = true;
+      transport.pause();
+      if (opened) client.request('leave', { clientId: client.clientId }).catch(() => {});
+    }
+  };
+  return transport;
+}
+
+// Server-Sent Events over /api/events, with client messages sent over HTTP
+function createSseTransport(client, { onMessage, onClose }) {
+  let source = null;
+  let opened = false;
+  let closed = false;
+
+  const transport = {
+    name: 'sse',
+
+    async connect(peerId) {
+      if (typeof EventSource === 'undefined') throw new Error('EventSource is not available');
+      transport.pause();
+      await openHttpSession(client, onMessage, peerId);
+      opened = true;
+      await transport.listen();
+    },
+
+    listen() {
+      transport.pause();
+      if (closed) return Promise.reject(new Error('Transport closed'));
+      return new Promise((resolve, reject) => {
+        let opened = false;
+        const stream = new EventSource(client.getApiUrl('events', { clientId: client.clientId }));
+        source = stream;
+
+        stream.onopen = () => {
+          opened = true;
+          resolve();
+        };
+
+        stream.onmessage = (event) => {
+          let message;
+          try {
+            message = JSON.parse(event.data);
+          } catch (error) {
+            console.error('Error parsing message:', error);
+            return;
+          }
+          // The server's last word before it ends the stream of a removed client
+          if (message.type === 'removed') {
+            stream.close();
+            if (source === stream) source = null;
+            onClose([], 'removed');
+            return;
+          }
+          onMessage(message);
+        };
+
+        // EventSource reconnects by itself (resuming with Last-Event-ID) until the server refuses
+        stream.onerror = () => {
+          if (!opened) {
+            stream.close();
+            if (source === stream) source = null;
+            reject(new Error('Event stream failed'));
+          } else if (stream.readyState === EventSource.CLOSED && source === stream) {
+            source = null;
+            onClose();
+          }
+        };
+      });
+    },
+
+    pause() {
+      source?.close();
+      source = null;
+    },
+
+    send(message) {
+      return sendHttp(client, transport, message, onMessage);
+    },
+
+    // The server stopped answering; `message` is one it never got. Late failures
+    // are reported too, so the client can still hold their messages.
+    lost(message) {
+      closed = true;
+      transport.pause();
+      onClose(message ? [message] : []);
+    },
+
+    close() {
+      closed = true;
+      transport.pause();
+      if (opened) client.request('leave', { clientId: client.clientId }).catch(() => {});
+    }
+  };
+  return transport;
+}
+
+// Serverless signaling through a Nostr relay (see src/nostr/nostrClient.js). Peers
+// announce themselves in the room's topic and signals are filtered by session and
+// target on arrival; the server's messages (welcome, joined, peer-joined, ...) are
+// synthesized so the client API is unchanged.
+// Nostr keys per client, so its peer ID survives reconnects
+const nostrKeys = new WeakMap();
+
+// Peer IDs over Nostr are derived from the key that signs the peer's events
+function nostrPeerId(pubkey) {
+  return pubkey.slice(0, 16);
+}
+
+function createNostrTransport(client, { onMessage, onClose }) {
+  // Relays replay recent history; ignore anything older than this connection
+  const CLOCK_SKEW_MS = 10000;
+
+  let nostr = null;
+  let clientId = null;
+  let sessionId = null;
+  let connectedAt = 0;
+  let joinTimer = null;
+  const members = new Set();
+
+  // Pending join request, answered by `joined` once the join window closes
+  let joinRequestId;
+
+  function publish(payload, requestId) {
+    nostr?.send({ ...payload, peerId: clientId }).then(() => {
+      if (requestId) onMessage({ type: 'ack', requestId });
+    }, (error) => {
+      onMessage({ type: 'error', message: error.message, requestId });
+    });
+  }
+
+  function finishJoin() {
+    joinTimer = null;
+    onMessage({ type: 'joined', sessionId, clientId, clients: Array.from(members), requestId: joinRequestId });
+    joinRequestId = undefined;
+  }
+
+  function handlePayload({ payload, from }) {
+    // The payload's peerId is only its sender's claim; it has to match the signing key
+    if (!payload || typeof from !== 'string' || payload.peerId !== nostrPeerId(from)) return;
+    if (payload.peerId === clientId || !sessionId || payload.sessionId !== sessionId) return;
+    if ((payload.timestamp || 0) < connectedAt - CLOCK_SKEW_MS) return;
+    if (payload.targetId && payload.targetId !== clientId) return;
+
+    switch (payload.type) {
+      case 'join':
+      case 'here':
+        // While our own join is pending, members are reported in `joined` instead
+        if (!members.has(payload.peerId)) {
+          members.add(payload.peerId);
+          if (!joinTimer) onMessage({ type: 'peer-joined', sessionId, peerId: payload.peerId });
+        }
+        // Let the newcomer know we're here
+        if (payload.type === 'join') publish({ type: 'here', sessionId, targetId: payload.peerId });
+        break;
+      case 'leave':
+        if (members.delete(payload.peerId)) onMessage({ type: 'peer-left', sessionId, peerId: payload.peerId });
+        break;
+      default:
+        onMessage(payload);
+    }
+  }
+
+  function leave() {
+    if (!sessionId) return;
+    publish({ type: 'leave', sessionId });
+    clearTimeout(joinTimer);
+    joinTimer = null;
+    if (joinRequestId) {
+      onMessage({ type: 'error', message: 'Left the session before the join finished', requestId: joinRequestId });
+      joinRequestId = undefined;
+    }
+    sessionId = null;
+    members.clear();
+  }
+
+  return {
+    name: 'nostr',
+
+    async connect() {
+      const relayUrl = client.options.nostrRelayUrl;
+      if (!relayUrl) throw new Error('nostrRelayUrl is required for the Nostr transport');
+      const { createNostrClient, createSecretKeyHex } = await import('./src/nostr/nostrClient.js');
+      const WSClass = typeof WebSocket !== 'undefined' ? WebSocket : (await import('ws')).default;
+      if (!nostrKeys.has(client)) nostrKeys.set(client, client.options.nostrSecretKey || createSecretKeyHex());
+
+      const relay = createNostrClient({
+        relayUrl,
+        room: client.options.roomId || 'default',
+        secretKeyHex: nostrKeys.get(client),
+        WebSocket: WSClass,
+        onPayload: handlePayload,
+        onState: (state) => {
+          if (state !== 'disconnected' || nostr !== relay) return;
+          nostr = null;
+          onClose();
+        }
+      });
+      // Other peers couldn't tell a custom ID from an impostor's
+      clientId = nostrPeerId(relay.getPublicKey());
+      const { customPeerId } = client.options;
+      if (customPeerId && customPeerId !== clientId) throw new Error('Custom peer IDs are not available over Nostr');
+      await relay.connect();
+      nostr = relay;
+      connectedAt = Date.now();
+      onMessage({ type: 'welcome', clientId, message: 'Connected to Nostr relay' });
+    },
+
+    send({ requestId, ...message }) {
+      if (!nostr) return false;
+      switch (message.type) {
+        case 'set-id':
+          if (message.customId === clientId) {
+            onMessage({ type: 'welcome', clientId, message: 'Custom peer ID set', requestId });
+          } else {
+            onMessage({ type: 'error', message: 'Custom peer IDs are not available over Nostr', status: 400, requestId });
+          }
+          break;
+        case 'join':
+          if (sessionId !== message.sessionId) leave();
+          sessionId = message.sessionId;
+          members.clear();
+          publish({ type: 'join', sessionId });
+          clearTimeout(joinTimer);
+          joinRequestId = requestId;
+          // Give the members a moment to answer, so `joined` can list them
+          joinTimer = setTimeout(finishJoin, client.options.nostrJoinWindow);
+          break;
+        case 'leave':
+          leave();
+          if (requestId) onMessage({ type: 'ack', requestId });
+          break;
+        case 'list-rooms':
+          onMessage({ type: 'error', message: 'Room listing is not available over Nostr', requestId });
+          break;
+        default:
+          publish({ ...message, sessionId: message.sessionId || sessionId }, requestId);
+      }
+      return true;
+    },
+
+    close() {
+      leave();
+      const relay = nostr;
+      nostr = null;
+      relay?.disconnect();
+    }
+  };
+}
+
+const TRANSPORTS = {
+  websocket: createWebSocketTransport,
+  polling: createPollingTransport,
+  sse: createSseTransport,
+  nostr: createNostrTransport
+};
+
+// Events yielded by signals()
+const SIGNAL_EVENTS = ['offer', 'answer', 'ice-candidate'];
+
+// Dispatched for every event; `detail` carries the payload, as with CustomEvent
+class UniWRTCEvent extends Event {
+  constructor(type, detail) {
+    super(type);
+    this.detail = detail;
+  }
+}
+
+// Events of UniWRTCClient, UniWRTCRoom and UniWRTCMesh
+class UniWRTCEmitter extends EventTarget {
+  constructor() {
+    super();
+    // event -> Map(handler -> DOM listener), so off() can find what on() added
+    this.listeners = new Map();
+    // Open events() iterators, ended by closeIterators()
+    this.iterators = new Set();
+  }
+
+  // Any event name can be listened to; '*' receives every event as (data, event).
+  // The events are also dispatched as DOM events (addEventListener, `event.detail`).
+  on(event, handler) {
+    this.addHandler(event, handler, false);
+  }
+
+  // Like on(), but only for the next event. Without a handler, returns a Promise for it.
+  once(event, handler) {
+    if (!handler) return new Promise((resolve) => this.addHandler(event, resolve, true));
+    this.addHandler(event, handler, true);
+  }
+
+  off(event, handler) {
+    const listener = this.listeners.get(event)?.get(handler);
+    if (!listener) return;
+    this.listeners.get(event).delete(handler);
+    this.removeEventListener(event, listener);
+  }
+
+  addHandler(event, handler, once) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Map());
+    const handlers = this.listeners.get(event);
+    if (handlers.has(handler)) return;
+
+    const listener = ({ detail }) => {
+      if (once) this.off(event, handler);
+      try {
+        if (event === '*') handler(detail.data, detail.event);
+        else handler(detail);
+      } catch (error) {
+        console.error(`Error in ${event} handler:`, error);
+      }
+    };
+    handlers.set(handler, listener);
+    this.addEventListener(event, listener);
+  }
+
+  emit(event, data) {
+    this.dispatchEvent(new UniWRTCEvent(event, data));
+    this.dispatchEvent(new UniWRTCEvent('*', { event, data }));
+  }
+
+  // Async iterator over an event's payloads ({ event, data } for '*'), optionally
+  // filtered. Events are buffered until read. It ends on `break`, when `signal`
+  // aborts, or on closeIterators() (the client's disconnect()).
+  events(event, { filter, signal } = {}) {
+    const queue = [];
+    let waiting = null;
+    let done = false;
+
+    const push = (data, name) => {
+      const value = event === '*' ? { event: name, data } : data;
+      if (filter && !filter(value)) return;
+      if (waiting) {
+        waiting({ value, done: false });
+        waiting = null;
+      } else {
+        queue.push(value);
+      }
+    };
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      this.off(event, push);
+      this.iterators.delete(iterator);
+      signal?.removeEventListener('abort', finish);
+      waiting?.({ value: undefined, done: true });
+      waiting = null;
+    };
+
+    const iterator = {
+      next: () => {
+        if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => { waiting = resolve; });
+      },
+      return: () => {
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+
+    if (signal?.aborted) {
+      done = true;
+      return iterator;
+    }
+    this.on(event, push);
+    this.iterators.add(iterator);
+    signal?.addEventListener('abort', finish);
+    return iterator;
+  }
+
+  closeIterators() {
+    for (const iterator of this.iterators) iterator.return();
+  }
+}
+
+// Events the client raises itself; a server message of one of these types is not
+// passed on, so a peer can't fake them
+const CLIENT_EVENTS = new Set(['connected', 'disconnected', 'reconnecting', 'reconnected', 'removed', 'transport', 'dropped', '*']);
+
+class UniWRTCClient extends UniWRTCEmitter {
   constructor(serverUrl, options = {}) {
+    super();
     this.serverUrl = serverUrl;
-    this.ws = null;
+    this.transport = null;
+    this.activeTransport = null;
     this.clientId = null;
     this.sessionId = null;
     this.peers = new Map();
+    // clientId to ask for again while reconnecting
+    this.resumeClientId = null;
+    this.reconnectTimer = null;
+    // Set by disconnect(), so a connect or reconnect still in flight gives up
+    this.stopped = false;
+    // requestId -> { resolve, reject, timer } for requests awaiting the server's reply
+    this.pendingRequests = new Map();
+    this.nextRequestId = 1;
+    this.joinRequest = null;
+    // Messages sent while the connection is being restored, oldest first: { message, queuedAt }
+    this.outbox = [];
+    this.holdOutbox = false;
     this.options = {
       autoReconnect: true,
+      // Reconnect backoff: the delay doubles from reconnectDelay up to maxReconnectDelay,
+      // with jitter, and the client gives up after maxReconnectAttempts
       reconnectDelay: 3000,
+      maxReconnectDelay: 30000,
+      maxReconnectAttempts: Infinity,
+      // Transports to try in order: 'websocket', 'sse', 'polling', 'nostr' or a
+      // transport factory. `transport` picks a single one.
+      transports: [options.transport || 'websocket'],
+      // A transport that hasn't connected within this long is skipped
+      connectTimeout: 10000,
+      // How long each /api/poll may be held open by the server
+      pollWait: 25000,
+      // Nostr transport: relay to signal through, and how long a join waits for members to answer.
+      // The peer ID comes from nostrSecretKey's public key (a new key per client by default).
+      nostrRelayUrl: null,
+      nostrJoinWindow: 1500,
+      nostrSecretKey: null,
+      // How long a request (join, signal, set-id, ...) waits for its reply
+      requestTimeout: 10000,
+      // While reconnecting, up to maxQueueSize messages are held (0 turns this off) and
+      // sent once the session is rejoined; messages older than maxQueueAge ms are dropped
+      maxQueueSize: 100,
+      maxQueueAge: 30000,
       ...options
     };
-    this.eventHandlers = {
-      'connected': [],
-      'disconnected': [],
-      'joined': [],
-      'peer-joined': [],
-      'peer-left': [],
-      'offer': [],
-      'answer': [],
-      'ice-candidate': [],
-      'room-list': [],
-      'error': []
-    };
   }
 
-  connect() {
-    return new Promise((resolve, reject) => {
+  // Try each transport in order until one connects; resolves with the clientId
+  async connect() {
+    this.stopped = false;
+    const errors = [];
+    for (const entry of this.options.transports) {
+      const factory = typeof entry === 'function' ? entry : TRANSPORTS[entry];
+      if (!factory) {
+        errors.push(`${entry}: unknown transport`);
+        continue;
+      }
+
+      const transport = factory(this, {
+        onMessage: (message) => {
+          if (this.transport === transport || !this.transport) this.handleMessage(message);
+        },
+        onClose: (unsent, reason) => this.handleTransportClosed(transport, unsent, reason)
+      });
+      const name = transport.name || String(entry);
+
+      let timer = null;
       try {
-        // Get WebSocket class (browser or Node.js)
-        const WSClass = typeof WebSocket !== 'undefined' ? WebSocket : require('ws');
-        this.ws = new WSClass(this.serverUrl);
+        await Promise.race([
+          transport.connect(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Timed out')), this.options.connectTimeout);
+          })
+        ]);
+      } catch (error) {
+        transport.close();
+        errors.push(`${name}: ${error.message}`);
+        console.warn(`[UniWRTC] ${name} transport failed, trying the next one:`, error.message);
+        continue;
+      } finally {
+        clearTimeout(timer);
+      }
+      if (this.stopped) {
+        transport.close();
+        throw new Error('Disconnected while connecting');
+      }
 
-        this.ws.onopen = () => {
-          console.log('Connected to signaling server');
-        };
+      this.transport = transport;
+      this.activeTransport = name;
+      console.log(`Connected to signaling server (${name})`);
+      this.emit('transport', { name });
+      this.emit('connected', { clientId: this.clientId });
+      return this.clientId;
+    }
+    throw new Error(`No signaling transport could connect (${errors.join('; ')})`);
+  }
 
-        this.ws.onmessage = (event) => {
-          try {
-            const message = JSON.parse(event.data);
-            this.handleMessage(message);
+  // The peer ID to ask the server for: the custom one, or the one being resumed
+  requestedPeerId() {
+    return this.options.customPeerId || this.resumeClientId || null;
+  }
 
-            if (message.type === 'welcome') {
-              this.clientId = message.clientId;
-              this.emit('connected', { clientId: this.clientId });
-              resolve(this.clientId);
-            }
-          } catch (error) {
-            console.error('Error parsing message:', error);
-          }
-        };
+  // `unsent` are messages the transport had accepted but could not deliver
+  handleTransportClosed(transport, unsent = [], reason) {
+    // A transport that is already gone may still report messages that failed late
+    if (this.transport !== transport) return this.holdUnsent(unsent);
+    this.transport = null;
+    this.activeTransport = null;
+    const removed = reason === 'removed';
+    // Reconnecting would bring a removed client straight back, so it ends like disconnect()
+    const reconnect = this.options.autoReconnect && !removed;
+    if (removed) {
+      this.stopped = true;
+      this.holdOutbox = false;
+      this.dropOutbox('disconnected');
+      this.sessionId = null;
+      this.joinRequest = null;
+    } else if (reconnect) {
+      this.holdOutbox = this.options.maxQueueSize > 0;
+    }
+    this.holdUnsent(unsent);
+    this.rejectPendingRequests(removed ? 'Removed by the server' : 'Disconnected from signaling server');
+    console.log('Disconnected from signaling server');
+    if (removed) this.emit('removed', { clientId: this.clientId });
+    this.emit('disconnected');
 
-        this.ws.onclose = () => {
-          console.log('Disconnected from signaling server');
-          this.emit('disconnected');
-          
-          if (this.options.autoReconnect) {
-            setTimeout(() => {
-              console.log('Attempting to reconnect...');
-              this.connect();
-            }, this.options.reconnectDelay);
-          }
-        };
+    if (reconnect) {
+      this.resumeClientId = this.clientId;
+      this.scheduleReconnect(0);
+    }
+  }
 
-        this.ws.onerror = (error) => {
-          console.error('WebSocket error:', error);
-          reject(error);
-        };
+  // Retry every transport with exponential backoff until one connects, the client
+  // is disconnected, or maxReconnectAttempts is used up
+  scheduleReconnect(attempt) {
+    if (attempt >= this.options.maxReconnectAttempts) {
+      this.resumeClientId = null;
+      this.holdOutbox = false;
+      this.dropOutbox('disconnected');
+      this.emit('error', { message: `Gave up reconnecting after ${attempt} attempts` });
+      return;
+    }
+
+    const ceiling = Math.min(this.options.maxReconnectDelay, this.options.reconnectDelay * 2 ** attempt);
+    // Jitter keeps a server restart from being met by every client at the same moment
+    const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    this.emit('reconnecting', { attempt: attempt + 1, delay });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.stopped || !this.options.autoReconnect || this.transport) return;
+      console.log('Attempting to reconnect...');
+      try {
+        await this.connect();
       } catch (error) {
-        reject(error);
+        if (this.stopped) return;
+        console.warn('[UniWRTC] Reconnect failed:', error.message);
+        this.scheduleReconnect(attempt + 1);
+        return;
       }
+      this.resumeSession(attempt + 1);
+    }, delay);
+  }
+
+  // Rejoin the session the client was in before the connection dropped, then send
+  // what was queued in the meantime
+  async resumeSession(attempts) {
+    const previousClientId = this.resumeClientId;
+    this.resumeClientId = null;
+    const transport = this.transport;
+    if (this.sessionId) {
+      try {
+        await this.sendRequest({
+          type: 'join',
+          sessionId: this.sessionId,
+          peerId: this.clientId
+        }, { queue: false });
+      } catch (error) {
+        // Dropped again: the next reconnect rejoins
+        if (this.transport !== transport) return;
+        this.emit('error', { message: error.message });
+      }
+    }
+    this.emit('reconnected', {
+      clientId: this.clientId,
+      previousClientId,
+      sessionId: this.sessionId,
+      transport: this.activeTransport,
+      attempts
     });
+    this.flushOutbox();
+  }
+
+  // Accept http(s):// server URLs and carry the room as ?room=
+  getSocketUrl() {
+    const url = new URL(this.serverUrl, globalThis.location?.href);
+    if (url.protocol === 'https:') url.protocol = 'wss:';
+    else if (url.protocol === 'http:') url.protocol = 'ws:';
+    if (this.options.roomId && !url.searchParams.has('room')) {
+      url.searchParams.set('room', this.options.roomId);
+    }
+    return url.toString();
+  }
+
+  // The HTTP API lives next to the WebSocket endpoint, so the same server URL works for every transport
+  getApiUrl(endpoint, params = {}) {
+    const url = new URL(this.serverUrl, globalThis.location?.href);
+    if (url.protocol === 'wss:') url.protocol = 'https:';
+    else if (url.protocol === 'ws:') url.protocol = 'http:';
+    url.pathname = `${url.pathname.replace(/\/+$/, '').replace(/\/ws$/, '')}/api/${endpoint}`;
+    if (this.options.roomId && !url.searchParams.has('room')) {
+      url.searchParams.set('room', this.options.roomId);
+    }
+    for (const [name, value] of Object.entries(params)) {
+      url.searchParams.set(name, value);
+    }
+    return url.toString();
+  }
+
+  async request(endpoint, body) {
+    const response = await fetch(this.getApiUrl(endpoint), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new HttpError(data.message || `Request failed with status ${response.status}`, response.status);
+    return data;
   }
 
   disconnect() {
-    if (this.ws) {
-      this.options.autoReconnect = false;
-      this.ws.close();
-      this.ws = null;
+    this.stopped = true;
+    this.options.autoReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.resumeClientId = null;
+    this.holdOutbox = false;
+    this.dropOutbox('disconnected');
+    if (this.transport) {
+      const transport = this.transport;
+      this.transport = null;
+      this.activeTransport = null;
+      transport.close();
+      this.rejectPendingRequests('Disconnected from signaling server');
+      console.log('Disconnected from signaling server');
+      this.emit('disconnected');
     }
+    this.closeIterators();
   }
 
-  joinSession(sessionId) {
+  // Resolves with the `joined` payload ({ sessionId, clientId, clients })
+  joinSession(sessionId, options) {
+    // Prevent duplicate join calls for the same session
+    if (this.sessionId === sessionId && this.joinRequest) return this.joinRequest;
     this.sessionId = sessionId;
-    this.send({
+    
+    // Send join message
+    const request = this.sendRequest({
       type: 'join',
-      sessionId: sessionId
+      sessionId: sessionId,
+      peerId: this.clientId
+    }, options).catch((error) => {
+      if (this.joinRequest === request) {
+        this.joinRequest = null;
+        this.sessionId = null;
+      }
+      throw error;
     });
+    this.joinRequest = request;
+    return request;
   }
 
-  leaveSession() {
-    if (this.sessionId) {
-      this.send({
-        type: 'leave',
-        sessionId: this.sessionId
-      });
-      this.sessionId = null;
+  leaveSession(options) {
+    if (!this.sessionId) return Promise.resolve();
+    const sessionId = this.sessionId;
+    this.sessionId = null;
+    this.joinRequest = null;
+    return this.sendRequest({ type: 'leave', sessionId }, options).then(() => {});
+  }
+
+  // Resolves with the new clientId; rejects if the ID is taken
+  setId(customId, options) {
+    return this.sendRequest({ type: 'set-id', customId }, options).then((reply) => reply.clientId);
+  }
+
+  send(message) {
+    if (this.holdOutbox) {
+      this.enqueue(message);
+    } else if (!this.transport || !this.transport.send(message)) {
+      console.warn('Not connected to the signaling server');
+      this.emit('dropped', { message, reason: 'disconnected' });
+    }
+  }
+
+  // Send a message and wait for the server's reply to it, matched by requestId. Error
+  // replies reject the returned promise instead of firing the `error` event. While
+  // reconnecting the message waits in the outbox, unless `queue` is false.
+  sendRequest(message, { timeout = this.options.requestTimeout, queue = true } = {}) {
+    const requestId = String(this.nextRequestId++);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`Request ${message.type} timed out after ${timeout}ms`));
+        const index = this.outbox.findIndex((entry) => entry.message.requestId === requestId);
+        if (index !== -1) this.dropQueued(this.outbox.splice(index, 1)[0], 'timeout');
+      }, timeout);
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+
+      if (queue && this.holdOutbox) {
+        this.enqueue({ ...message, requestId });
+      } else if (!this.transport || !this.transport.send({ ...message, requestId })) {
+        this.settleRequest({ type: 'error', message: 'Not connected to the signaling server', requestId });
+      }
+    });
+  }
+
+  // Hold a message until the connection is back; the oldest one goes when the outbox is full
+  enqueue(message) {
+    this.pruneOutbox();
+    if (this.outbox.length >= this.options.maxQueueSize) {
+      this.dropQueued(this.outbox.shift(), 'overflow');
+    }
+    this.outbox.push({ message, queuedAt: Date.now() });
+  }
+
+  pruneOutbox() {
+    const cutoff = Date.now() - this.options.maxQueueAge;
+    while (this.outbox.length && this.outbox[0].queuedAt < cutoff) {
+      this.dropQueued(this.outbox.shift(), 'expired');
+    }
+  }
+
+  // Send queued messages in order; stops (and keeps holding) if the connection drops again
+  flushOutbox() {
+    this.pruneOutbox();
+    while (this.outbox.length) {
+      if (!this.transport || !this.transport.send(this.outbox[0].message)) return;
+      this.outbox.shift();
+    }
+    this.holdOutbox = false;
+  }
+
+  // Undelivered messages go back to the front of the outbox, as they were sent before
+  // anything queued there; requests that have already failed are not retried
+  holdUnsent(messages) {
+    const held = [];
+    for (const message of messages) {
+      const entry = { message, queuedAt: Date.now() };
+      const { requestId } = message;
+      if (this.holdOutbox && (requestId === undefined || this.pendingRequests.has(requestId))) held.push(entry);
+      else this.dropQueued(entry, 'disconnected');
+    }
+    this.outbox.unshift(...held);
+    while (this.outbox.length > this.options.maxQueueSize) {
+      this.dropQueued(this.outbox.shift(), 'overflow');
+    }
+  }
+
+  dropOutbox(reason) {
+    for (const entry of this.outbox.splice(0)) this.dropQueued(entry, reason);
+  }
+
+  // A queued request fails with the reason; every dropped message fires `dropped`
+  dropQueued({ message: { requestId, ...message } }, reason) {
+    if (requestId !== undefined) {
+      this.settleRequest({ type: 'error', message: `Message dropped from the outbox (${reason})`, requestId });
+    }
+    this.emit('dropped', { message, reason });
+  }
+
+  // Settle the request a reply belongs to; returns false for replies nobody waits for
+  settleRequest({ requestId, ...reply }) {
+    const request = this.pendingRequests.get(requestId);
+    if (!request) return false;
+    this.pendingRequests.delete(requestId);
+    clearTimeout(request.timer);
+    if (reply.type === 'error') {
+      const error = new Error(reply.message);
+      if (reply.status) error.status = reply.status;
+      request.reject(error);
+    } else {
+      request.resolve(reply);
     }
+    return true;
   }
 
-  sendOffer(offer, targetId = null) {
-    this.send({
+  // Requests still waiting in the outbox are left to it
+  rejectPendingRequests(message) {
+    const queued = new Set(this.outbox.map((entry) => entry.message.requestId));
+    for (const requestId of [...this.pendingRequests.keys()]) {
+      if (!queued.has(requestId)) this.settleRequest({ type: 'error', message, requestId });
+    }
+  }
+
+  sendOffer(offer, targetId, options) {
+    console.log(`[Client] Sending offer to ${targetId}`);
+    return this.sendRequest({
       type: 'offer',
       offer: offer,
       targetId: targetId,
       sessionId: this.sessionId
-    });
+    }, options).then(() => {});
   }
 
-  sendAnswer(answer, targetId) {
-    this.send({
+  sendAnswer(answer, targetId, options) {
+    console.log(`[Client] Sending answer to ${targetId}`);
+    return this.sendRequest({
       type: 'answer',
       answer: answer,
       targetId: targetId,
       sessionId: this.sessionId
-    });
+    }, options).then(() => {});
   }
 
-  sendIceCandidate(candidate, targetId = null) {
-    this.send({
+  sendIceCandidate(candidate, targetId, options) {
+    console.log(`[Client] Sending ICE candidate to ${targetId}`);
+    return this.sendRequest({
       type: 'ice-candidate',
       candidate: candidate,
       targetId: targetId,
       sessionId: this.sessionId
-    });
+    }, options).then(() => {});
   }
 
-  listRooms() {
-    this.send({
+  // Resolves with the list of sessions in the room
+  listRooms(options) {
+    return this.sendRequest({
       type: 'list-rooms'
-    });
+    }, options).then((reply) => reply.rooms);
   }
 
-  send(message) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
-    } else {
-      console.error('WebSocket is not connected');
-    }
+  // Incoming offers, answers and ICE candidates as { type, peerId, offer | answer | candidate },
+  // optionally only those from one peer:
+  //   for await (const sig of client.signals({ peerId })) { ... }
+  signals({ peerId, signal } = {}) {
+    // Subscribes right away (unlike a generator), so nothing is missed before the first read
+    const events = this.events('*', {
+      signal,
+      filter: ({ event, data }) => SIGNAL_EVENTS.includes(event) && (!peerId || data.peerId === peerId)
+    });
+    return {
+      next: async () => {
+        const { value, done } = await events.next();
+        return done ? { value: undefined, done } : { value: { type: value.event, ...value.data }, done };
+      },
+      return: () => events.return(),
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
   }
 
   handleMessage(message) {
+    if (message.requestId !== undefined) {
+      const settled = this.settleRequest(message);
+      // A failed request has been reported to its caller; acks carry nothing else
+      if ((settled && message.type === 'error') || message.type === 'ack') return;
+      const { requestId, ...rest } = message;
+      message = rest;
+    }
+
     switch (message.type) {
       case 'welcome':
-        // Handled in connect(), but also surface donation message
+        // Only set clientId here; 'connected' is emitted by connect()
+        this.clientId = message.clientId;
         console.log('[UniWRTC] If this helps, consider donating ❤️ → https://coff.ee/draederg');
         break;
       case 'joined':
+        this.sessionId = message.sessionId;
         this.emit('joined', {
           sessionId: message.sessionId,
+          peerId: message.peerId,
           clientId: message.clientId,
           clients: message.clients
         });
         break;
+      case 'session-closed':
+        // An administrator closed the session; the connection stays up for another join
+        if (this.sessionId === message.sessionId) {
+          this.sessionId = null;
+          this.joinRequest = null;
+        }
+        this.emit('session-closed', { sessionId: message.sessionId });
+        break;
       case 'peer-joined':
         this.emit('peer-joined', {
           sessionId: message.sessionId,
@@ -170,18 +1148,21 @@ class UniWRTCClient {
         });
         break;
       case 'offer':
+        console.log(`[Client] Received offer from ${message.peerId}`);
         this.emit('offer', {
           peerId: message.peerId,
           offer: message.offer
         });
         break;
       case 'answer':
+        console.log(`[Client] Received answer from ${message.peerId}`);
         this.emit('answer', {
           peerId: message.peerId,
           answer: message.answer
         });
         break;
       case 'ice-candidate':
+        console.log(`[Client] Received ICE candidate from ${message.peerId}`);
         this.emit('ice-candidate', {
           peerId: message.peerId,
           candidate: message.candidate
@@ -197,37 +1178,33 @@ class UniWRTCClient {
           message: message.message
         });
         break;
+      case 'chat':
+        this.emit('chat', {
+          text: message.text,
+          peerId: message.peerId,
+          sessionId: message.sessionId
+        });
+        break;
       default:
-        console.warn('Unknown message type:', message.type);
-    }
-  }
-
-  on(event, handler) {
-    if (this.eventHandlers[event]) {
-      this.eventHandlers[event].push(handler);
-    }
-  }
-
-  off(event, handler) {
-    if (this.eventHandlers[event]) {
-      this.eventHandlers[event] = this.eventHandlers[event].filter(h => h !== handler);
-    }
-  }
-
-  emit(event, data) {
-    if (this.eventHandlers[event]) {
-      this.eventHandlers[event].forEach(handler => {
-        try {
-          handler(data);
-        } catch (error) {
-          console.error(`Error in ${event} handler:`, error);
+        // Custom message types reach on(type) listeners with the whole message
+        if (typeof message.type === 'string' && !CLIENT_EVENTS.has(message.type)) {
+          this.emit(message.type, message);
         }
-      });
     }
   }
 }
 
-// Export for Node.js and browser
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { UniWRTCClient };
+// Attach to window for pages that use the global
+if (typeof window !== 'undefined') {
+  window.UniWRTCClient = UniWRTCClient;
 }
+
+export {
+  UniWRTCClient,
+  UniWRTCEmitter,
+  createWebSocketTransport,
+  createSseTransport,
+  createPollingTransport,
+  createNostrTransport
+};
+export default UniWRTCClient;
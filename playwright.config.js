@@ -2,6 +2,8 @@ import { defineConfig, devices } from '@playwright/test';
 
 export default defineConfig({
   testDir: './tests',
+  // tests/unit runs under node --test (npm run test:unit)
+  testIgnore: 'unit/**',
   // Run tests IN PARALLEL - all browsers at the same time
   fullyParallel: false,
   forbidOnly: !!process.env.CI,
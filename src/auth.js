@@ -0,0 +1,109 @@
+/**
+ * Signed access tokens for the signaling servers (server.js and the Room durable object).
+ *
+ * Tokens are JWTs signed with HS256 using a shared secret (AUTH_SECRET). Claims:
+ *   - sub:     the clientId the holder connects as (required)
+ *   - peers:   other peer IDs the holder may take with set-id (optional)
+ *   - room:    room the token is valid for (optional; any room when absent)
+ *   - session: session the holder may join (optional; any session when absent)
+ *   - exp/nbf: expiry / not-before, in seconds since the epoch
+ *
+ * Uses the global WebCrypto, btoa and atob, so it runs unchanged in Node (>= 20, see
+ * `engines`) and Cloudflare Workers.
+ */
+
+const encoder = new TextEncoder();
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(str.length / 4) * 4, '=');
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function importKey(secret, usage) {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
+
+/**
+ * Create a signed access token
+ * @param {object} claims - Token claims (see above)
+ * @param {string} secret - Shared HMAC secret
+ * @returns {Promise<string>} JWT
+ */
+export async function signAccessToken(claims, secret) {
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+  const payload = base64UrlEncode(encoder.encode(JSON.stringify(claims)));
+  const key = await importKey(secret, 'sign');
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${header}.${payload}`));
+  return `${header}.${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verify a token's signature and time claims
+ * @param {string} token - JWT
+ * @param {string} secret - Shared HMAC secret
+ * @returns {Promise<object>} The token's claims
+ * @throws {Error} If the token is malformed, forged, expired or not yet valid
+ */
+export async function verifyAccessToken(token, secret) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) throw new Error('Malformed access token');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+    claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[1])));
+  } catch {
+    throw new Error('Malformed access token');
+  }
+  if (header?.alg !== 'HS256') throw new Error('Unsupported token algorithm');
+
+  const key = await importKey(secret, 'verify');
+  const valid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(parts[2]), encoder.encode(`${parts[0]}.${parts[1]}`));
+  if (!valid) throw new Error('Invalid access token signature');
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp === 'number' && claims.exp <= now) throw new Error('Access token expired');
+  if (typeof claims.nbf === 'number' && claims.nbf > now) throw new Error('Access token not yet valid');
+  if (!claims.sub || typeof claims.sub !== 'string') throw new Error('Access token has no subject');
+  return claims;
+}
+
+/**
+ * Pull a token from `Authorization: Bearer`, then `?token=`, then a JSON body's `token`
+ * @param {string|null} authorization - Authorization header value
+ * @param {URLSearchParams} searchParams - Request query
+ * @param {object} [body] - Parsed JSON body
+ * @returns {string|null}
+ */
+export function extractAccessToken(authorization, searchParams, body) {
+  const match = /^Bearer\s+(.+)$/i.exec(authorization || '');
+  if (match) return match[1].trim();
+  return searchParams?.get('token') || body?.token || null;
+}
+
+/**
+ * Check verified claims against what a request is trying to do
+ * @param {object} claims - Verified token claims
+ * @param {object} request - { room, sessionId, clientId } (any may be omitted)
+ * @returns {string|null} Reason for refusal, or null when allowed
+ */
+export function checkTokenAccess(claims, { room, sessionId, clientId } = {}) {
+  if (claims.room && room !== undefined && claims.room !== room) return 'Token not valid for this room';
+  if (claims.session && sessionId && claims.session !== sessionId) return 'Token not valid for this session';
+  if (clientId && !tokenAllowsPeerId(claims, clientId)) return 'Token not valid for this clientId';
+  return null;
+}
+
+export function tokenAllowsPeerId(claims, peerId) {
+  return claims.sub === peerId || (Array.isArray(claims.peers) && claims.peers.includes(peerId));
+}
@@ -1,6 +1,6 @@
 /**
  * UniWRTC Cloudflare Worker
- * Legacy HTTP polling signaling worker
+ * HTTP polling and WebSocket signaling, one Room durable object per ?room=
  */
 
 import { Room } from './room.js';
@@ -19,13 +19,13 @@ export default {
       });
     }
 
-    // WebSockets are intentionally disabled in this deployment.
-    if (url.pathname === '/ws') {
-      return new Response('WebSockets disabled; use /api (HTTP polling)', { status: 410 });
+    // WebSocket signaling; the Room accepts the socket with the hibernation API
+    if (url.pathname === '/ws' && request.headers.get('Upgrade') !== 'websocket') {
+      return new Response('Expected a WebSocket upgrade', { status: 426 });
     }
 
-    // HTTP signaling API (no WebSockets)
-    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+    // Signaling API (HTTP polling) and WebSockets, routed to the room's durable object
+    if (url.pathname === '/ws' || url.pathname === '/api' || url.pathname.startsWith('/api/')) {
       const roomId = url.searchParams.get('room') || 'default';
       const id = env.ROOMS.idFromName(roomId);
       const roomStub = env.ROOMS.get(id);
@@ -0,0 +1,1173 @@
+import { generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import { generateRandomPair } from 'unsea';
+import { createNostrClient } from './nostr/nostrClient.js';
+import { UniWRTCEmitter } from '../client.js';
+import { wrapEncryptedPayload, unwrapEncryptedPayload, registerPeerPublicKey, getPeerPublicKey } from './crypto.js';
+
+/**
+ * Hybrid WebRTC mesh - Nostr (primary) + WebTorrent tracker + Gun.
+ *
+ * Peers find each other through any enabled source; the first connection that
+ * becomes active for a peer wins and the others are closed. Nostr signaling can be
+ * encrypted per peer with unsea. No DOM access: the demo page (src/main.js) is a
+ * UI on top of the events below.
+ *
+ * Events: `log` ({ message, level }), `state` ({ connected }), `relay` ({ relayUrl }),
+ * `peer` ({ peerId, source }) when a connection opens, `peer-left` ({ peerId, source }),
+ * `peers` when the list from getPeers() may have changed, and `message` ({ peerId, data, source }).
+ */
+
+// Curated public relays (best-effort)
+export const DEFAULT_RELAYS = [
+  'wss://relay.primal.net',
+  'wss://relay.nostr.band',
+  'wss://nos.lol',
+  'wss://relay.snort.social',
+  'wss://nostr.wine',
+  'wss://relay.damus.io',
+];
+
+export const DEFAULT_TRACKERS = [
+  'wss://tracker.openwebtorrent.com',
+  'wss://tracker.webtorrent.dev',
+  'wss://tracker.btorrent.xyz'
+];
+
+export const DEFAULT_GUN_RELAYS = ['https://relay.peer.ooo/gun'];
+
+// STUN-only (no TURN)
+export const DEFAULT_ICE_SERVERS = [
+  { urls: ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'] },
+  { urls: ['stun:stun2.l.google.com:19302', 'stun:stun3.l.google.com:19302'] },
+  { urls: ['stun:stun.cloudflare.com:3478'] },
+];
+
+// Relays are tried in parallel batches of this size; the first that accepts a publish wins
+const RELAY_BATCH_SIZE = 3;
+
+function bytesToHex(bytes) {
+  return Array.from(bytes)
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// A fresh Nostr identity; the public key doubles as the peer ID on every source
+export function createIdentity() {
+  const secretKeyHex = bytesToHex(generateSecretKey());
+  return { secretKeyHex, peerId: getPublicKey(secretKeyHex) };
+}
+
+function short(peerId) {
+  return peerId.substring(0, 6);
+}
+
+export class UniWRTCMesh extends UniWRTCEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      room: null,
+      // Signaling sources and their servers
+      nostr: true,
+      relays: DEFAULT_RELAYS,
+      tracker: true,
+      trackers: DEFAULT_TRACKERS,
+      gun: true,
+      gunRelays: DEFAULT_GUN_RELAYS,
+      // Encrypt targeted Nostr signals with the recipient's unsea key
+      encryption: true,
+      iceServers: DEFAULT_ICE_SERVERS,
+      channelLabel: 'chat',
+      // RTCPeerConnection implementation, for runtimes without a global one
+      RTCPeerConnection: globalThis.RTCPeerConnection,
+      // Nostr identity; a new one is generated if omitted
+      secretKeyHex: null,
+      ...options
+    };
+    if (!this.options.room) throw new Error('room is required');
+
+    this.secretKeyHex = this.options.secretKeyHex || createIdentity().secretKeyHex;
+    this.peerId = getPublicKey(this.secretKeyHex);
+
+    this.nostrClient = null;
+    this.hybridSignaling = null;
+    // Per-connect nonce so signals from relay history or other tabs are told apart
+    this.sessionNonce = null;
+    this.keyPair = null; // unsea key pair for encryption { publicKey, privateKey }
+
+    this.peerSessions = new Map();
+    this.peerProbeState = new Map();
+    this.peerResyncState = new Map();
+    this.readyPeers = new Set();
+    this.deferredHelloPeers = new Set();
+
+    this.peerConnections = new Map(); // peerId -> RTCPeerConnection, or null for peers only seen so far
+    this.dataChannels = new Map();
+    this.pendingIce = new Map();
+    this.outboundIceBatches = new Map();
+    this.trackerPeers = new Map(); // simple-peer instances from tracker
+    this.initiatedPeers = new Set(); // Peers we've already sent offers to (any method)
+    this.peerSources = new Map(); // Connection source for each peer (Nostr/Tracker/Gun)
+    this.lastSignalSource = new Map(); // Last signaling transport per peer (Nostr/Gun)
+    this.peerPreferredSource = new Map(); // First ACTIVE connection wins per peer
+  }
+
+  log(message, level = 'info') {
+    this.emit('log', { message, level });
+  }
+
+  setEncryption(enabled) {
+    this.options.encryption = Boolean(enabled);
+  }
+
+  rtc(peerId) {
+    return this.peerConnections.get(peerId) || null;
+  }
+
+  // Connected peers and the source that won for each: [{ peerId, source }]
+  getPeers() {
+    // Close all non-preferred connections first
+    this.enforcePreferredConnections();
+
+    const peers = [];
+    for (const [peerId, source] of this.peerPreferredSource.entries()) {
+      // Only list the peer while its preferred connection is active (it reappears if it reconnects)
+      let isActive = false;
+      if (source === 'Tracker') {
+        const sp = this.trackerPeers.get(peerId);
+        isActive = !!(sp && sp.connected);
+      } else {
+        // Gun or Nostr
+        const pc = this.rtc(peerId);
+        const dc = this.dataChannels.get(peerId);
+        const connState = pc && pc.connectionState;
+        isActive = !!(pc && (connState === 'connected' || connState === 'connecting' || dc?.readyState === 'open'));
+      }
+      if (isActive) peers.push({ peerId, source });
+    }
+    return peers;
+  }
+
+  hasActivePeers() {
+    return this.peerPreferredSource.size > 0 ||
+      this.trackerPeers.size > 0 ||
+      Array.from(this.dataChannels.values()).some(dc => dc?.readyState === 'open');
+  }
+
+  peersChanged() {
+    this.emit('peers');
+  }
+
+  setPreferredSource(peerId, source) {
+    if (!source) return;
+
+    // Normalize peerId: trim whitespace to prevent duplicates
+    const normalized = peerId.trim();
+
+    if (this.peerPreferredSource.has(normalized)) {
+      const existing = this.peerPreferredSource.get(normalized);
+      this.log(`${short(normalized)}... already uses ${existing}; ignoring ${source}`, 'info');
+      return; // already chosen
+    }
+
+    this.peerPreferredSource.set(normalized, source);
+    this.log(`Using ${source} for ${short(normalized)}...`, 'info');
+    this.peersChanged();
+  }
+
+  enforcePreferredConnections() {
+    for (const [peerId, preferred] of this.peerPreferredSource.entries()) {
+      if (preferred === 'Tracker') {
+        const pc = this.rtc(peerId);
+        if (pc) {
+          try { pc.close(); } catch {}
+          this.peerConnections.delete(peerId);
+          this.dataChannels.delete(peerId);
+        }
+      } else {
+        const sp = this.trackerPeers.get(peerId);
+        if (sp) {
+          try { sp.destroy?.(); } catch {}
+          this.trackerPeers.delete(peerId);
+        }
+      }
+    }
+  }
+
+  shouldInitiateWith(peerId) {
+    // Deterministic initiator to avoid offer glare
+    return this.peerId.localeCompare(peerId) < 0;
+  }
+
+  isPoliteFor(peerId) {
+    // In perfect negotiation, one side is "polite" (will accept/repair collisions)
+    return !this.shouldInitiateWith(peerId);
+  }
+
+  // Include our encryption public key so the peer can encrypt its replies
+  withPublicKey(payload) {
+    if (this.options.encryption && this.keyPair?.publicKey) {
+      try {
+        payload.encryptionPublicKey = JSON.stringify(this.keyPair.publicKey);
+      } catch (e) {
+        this.log(`Failed to serialize encryption key: ${e?.message || e}`, 'warning');
+      }
+    }
+    return payload;
+  }
+
+  // Optionally encrypt a targeted payload using unsea
+  async encryptFor(to, payload) {
+    if (!this.options.encryption || !to || !this.keyPair) return payload;
+    try {
+      const recipientPublicKey = getPeerPublicKey(to);
+      // Send unencrypted if there's no peer key yet - it arrives with their hello
+      if (recipientPublicKey) return await wrapEncryptedPayload(payload, recipientPublicKey);
+    } catch (e) {
+      this.log(`Encryption failed, sending unencrypted: ${e?.message || e}`, 'warning');
+    }
+    return payload;
+  }
+
+  async sendSignal(to, payload) {
+    if (!this.nostrClient) throw new Error('Not connected to Nostr');
+    const isBroadcast = !to;
+    const toSession = isBroadcast ? null : this.peerSessions.get(to);
+    const needsToSession = !isBroadcast && payload?.type !== 'probe';
+
+    if (needsToSession && !toSession) throw new Error('No peer session yet');
+
+    const finalPayload = await this.encryptFor(to, {
+      ...payload,
+      ...(to ? { to } : {}),
+      ...(needsToSession ? { toSession } : {}),
+      fromSession: this.sessionNonce,
+    });
+    return this.nostrClient.send(finalPayload);
+  }
+
+  async sendSignalToSession(to, payload, toSession) {
+    if (!this.nostrClient) throw new Error('Not connected to Nostr');
+    if (!toSession) throw new Error('toSession is required');
+
+    const finalPayload = await this.encryptFor(to, {
+      ...payload,
+      to,
+      toSession,
+      fromSession: this.sessionNonce,
+    });
+    return this.nostrClient.send(finalPayload);
+  }
+
+  async maybeProbePeer(peerId) {
+    if (!this.nostrClient) return;
+    const session = this.peerSessions.get(peerId);
+    if (!session) return;
+    if (!this.shouldInitiateWith(peerId)) return;
+
+    const last = this.peerProbeState.get(peerId);
+    if (last && last.session === session) return;
+
+    const probeId = Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+    this.peerProbeState.set(peerId, { session, ts: Date.now(), probeId });
+    try {
+      await this.sendSignal(peerId, this.withPublicKey({ type: 'probe', probeId }));
+      this.log(`Probing peer ${short(peerId)}...`, 'info');
+    } catch (e) {
+      this.log(`Probe failed: ${e?.message || e}`, 'warning');
+    }
+  }
+
+  // Force a probe to resync sessions when we detect mismatched toSession
+  async resyncPeerSession(peerId, reason = 'session mismatch') {
+    if (!this.nostrClient) return;
+
+    const now = Date.now();
+    const last = this.peerResyncState.get(peerId) || 0;
+    if (now - last < 3000) return; // throttle resync attempts
+    this.peerResyncState.set(peerId, now);
+
+    const probeId = Math.random().toString(36).slice(2, 10) + now.toString(36);
+    // Track probe so probe-ack can update readiness/session
+    const prevSession = this.peerSessions.get(peerId) || null;
+    this.peerProbeState.set(peerId, { session: prevSession, ts: now, probeId });
+
+    try {
+      await this.sendSignal(peerId, { type: 'probe', probeId });
+      this.log(`Resyncing session with ${short(peerId)}... (${reason})`, 'info');
+    } catch (e) {
+      this.log(`Resync probe failed: ${e?.message || e}`, 'warning');
+    }
+  }
+
+  logDrop(peerId, payload, reason) {
+    const t = payload?.type || 'unknown';
+    if (!['signal-offer', 'signal-answer', 'signal-ice', 'signal-ice-batch', 'probe', 'probe-ack'].includes(t)) return;
+    this.log(`Dropped ${t} from ${short(peerId)}... (${reason})`, 'warning');
+  }
+
+  async resetPeerConnection(peerId) {
+    const existing = this.rtc(peerId);
+    if (existing) {
+      try {
+        existing.close();
+      } catch {
+        // ignore
+      }
+    }
+    this.peerConnections.delete(peerId);
+    this.pendingIce.delete(peerId);
+
+    const dc = this.dataChannels.get(peerId);
+    if (dc) {
+      try {
+        dc.close();
+      } catch {
+        // ignore
+      }
+    }
+    this.dataChannels.delete(peerId);
+    this.peersChanged();
+
+    return this.ensurePeerConnection(peerId);
+  }
+
+  async ensurePeerConnection(peerId) {
+    if (!peerId || peerId === this.peerId) return null;
+    if (this.rtc(peerId)) return this.rtc(peerId);
+
+    const initiator = this.shouldInitiateWith(peerId);
+
+    // Initiator must wait until the peer proves it's live (probe-ack), otherwise we end up
+    // negotiating with stale peers from relay history.
+    if (initiator && !this.readyPeers.has(peerId)) {
+      return null;
+    }
+    return this.createPeerConnection(peerId, initiator);
+  }
+
+  async addIceCandidateSafely(peerId, candidate) {
+    const pc = this.rtc(peerId);
+    if (!pc) return;
+
+    if (!pc.remoteDescription) {
+      const list = this.pendingIce.get(peerId) || [];
+      list.push(candidate);
+      this.pendingIce.set(peerId, list);
+      return;
+    }
+
+    await pc.addIceCandidate(candidate);
+  }
+
+  async flushPendingIce(peerId) {
+    const pc = this.rtc(peerId);
+    if (!pc || !pc.remoteDescription) return;
+
+    const list = this.pendingIce.get(peerId);
+    if (!list || list.length === 0) return;
+    this.pendingIce.delete(peerId);
+
+    for (const c of list) {
+      try {
+        await pc.addIceCandidate(c);
+      } catch (e) {
+        this.log(`Failed to add queued ICE candidate: ${e?.message || e}`, 'warning');
+      }
+    }
+  }
+
+  // Connect every enabled source. Rejects if Nostr is enabled and no relay accepts a publish.
+  async connect() {
+    const { nostr, tracker, gun } = this.options;
+    if (!nostr && !tracker && !gun) throw new Error('Please enable at least one signaling method');
+
+    if (nostr) await this.connectNostr();
+
+    // Hybrid signaling (Tracker + Gun) runs regardless of Nostr
+    if (this.hybridSignaling) {
+      this.hybridSignaling.shutdown();
+      this.hybridSignaling = null;
+    }
+    if (tracker || gun) await this.connectHybrid();
+
+    const enabled = [];
+    if (nostr) enabled.push('Nostr');
+    if (tracker) enabled.push('Tracker');
+    if (gun) enabled.push('Gun');
+    this.log(`Signaling active: ${enabled.join(' + ')}`, 'success');
+
+    this.emit('state', { connected: true });
+    this.log('Connection established', 'success');
+  }
+
+  async connectNostr() {
+    const room = this.options.room;
+    const relayCandidates = this.options.relays?.length ? this.options.relays : DEFAULT_RELAYS;
+
+    this.log(`Connecting to Nostr relay...`, 'info');
+
+    if (this.nostrClient) {
+      await this.nostrClient.disconnect();
+      this.nostrClient = null;
+    }
+
+    // Keep the session nonce across relay reconnects so existing signaling survives;
+    // only disconnect() resets it
+    this.peerSessions.clear();
+    this.peerProbeState.clear();
+    this.readyPeers.clear();
+    this.pendingIce.clear();
+    this.peerConnections.forEach((pc) => pc?.close());
+    this.peerConnections.clear();
+    this.dataChannels.clear();
+    this.peersChanged();
+
+    // Generate unsea key pair for encryption (once per mesh)
+    if (!this.keyPair) {
+      try {
+        this.keyPair = await generateRandomPair();
+        this.log('Generated encryption key pair', 'info');
+      } catch (e) {
+        this.log(`Failed to generate encryption key pair: ${e?.message || e}`, 'warning');
+      }
+    }
+
+    if (!this.sessionNonce) {
+      this.sessionNonce = Math.random().toString(36).slice(2) + Date.now().toString(36);
+    }
+
+    const makeClient = (relayUrl) => createNostrClient({
+      relayUrl,
+      room,
+      secretKeyHex: this.secretKeyHex,
+      onState: (state) => {
+        if (state === 'connected') this.emit('state', { connected: true });
+        if (state === 'disconnected') this.emit('state', { connected: false });
+      },
+      onNotice: (notice) => {
+        this.log(`Relay NOTICE (${relayUrl}): ${String(notice)}`, 'warning');
+      },
+      onOk: ({ id, ok, message }) => {
+        if (ok === false) this.log(`Relay rejected event ${String(id).slice(0, 8)}...: ${String(message)}`, 'error');
+      },
+      onPayload: ({ from, payload }) => this.handleNostrPayload(from, payload),
+    });
+
+    const tryOneRelay = async (relayUrl) => {
+      const candidateClient = makeClient(relayUrl);
+      await candidateClient.connect();
+      const ok = await candidateClient.sendWithOk({ type: 'relay-check', session: this.sessionNonce }, { timeoutMs: 3500 });
+      if (ok.ok !== true) throw new Error(ok.message || 'Relay rejected publish');
+      return { relayUrl, client: candidateClient };
+    };
+
+    let lastError = null;
+    let selected = null;
+    for (let i = 0; i < relayCandidates.length && !selected; i += RELAY_BATCH_SIZE) {
+      const batch = relayCandidates.slice(i, i + RELAY_BATCH_SIZE);
+      batch.forEach((u) => this.log(`Trying relay: ${u}`, 'info'));
+
+      const clientsInBatch = new Map();
+      const attempts = batch.map((relayUrl) => (async () => {
+        const result = await tryOneRelay(relayUrl);
+        clientsInBatch.set(relayUrl, result.client);
+        return result;
+      })());
+
+      try {
+        selected = await Promise.any(attempts);
+      } catch (e) {
+        lastError = e;
+      } finally {
+        // Close any batch clients that were created but not selected.
+        for (const [url, c] of clientsInBatch.entries()) {
+          if (selected && selected.relayUrl === url) continue;
+          try {
+            await c.disconnect();
+          } catch {
+            // ignore
+          }
+        }
+      }
+    }
+
+    if (!selected) {
+      throw lastError || new Error('No relay candidates available');
+    }
+
+    this.nostrClient = selected.client;
+    this.emit('relay', { relayUrl: selected.relayUrl });
+    this.log(`Selected relay: ${selected.relayUrl}`, 'success');
+    this.log(`Joined Nostr room: ${room}`, 'success');
+
+    await this.nostrClient.send(this.withPublicKey({ type: 'hello', session: this.sessionNonce }));
+
+    // Kick any peers we saw while selecting relays.
+    for (const peerId of this.deferredHelloPeers) {
+      await this.maybeProbePeer(peerId);
+    }
+    this.deferredHelloPeers.clear();
+  }
+
+  // Learn a peer's encryption key from a hello, probe or probe-ack
+  registerPublicKey(peerId, payload, via) {
+    if (!this.options.encryption || !payload.encryptionPublicKey) return;
+    try {
+      registerPeerPublicKey(peerId, JSON.parse(payload.encryptionPublicKey));
+      this.log(`Encryption key from ${short(peerId)}... (${via})`, 'info');
+    } catch (e) {
+      this.log(`Failed to parse encryption key from ${short(peerId)}... (${via}): ${e?.message || e}`, 'warning');
+    }
+  }
+
+  // Track the sender's session from a live message; a new session means it reloaded
+  learnPeerSession(peerId, fromSession) {
+    if (typeof fromSession !== 'string' || fromSession.length < 6) return;
+    const prev = this.peerSessions.get(peerId);
+    if (prev && prev === fromSession) return;
+    this.peerSessions.set(peerId, fromSession);
+    this.log(`Peer session ${prev ? 'rotated' : 'learned'}: ${short(peerId)}...`, 'info');
+    this.readyPeers.delete(peerId);
+  }
+
+  async handleNostrPayload(peerId, payload) {
+    if (!peerId || peerId === this.peerId) return;
+
+    // Try to decrypt if encrypted (using unsea)
+    if (payload && payload.encrypted && payload.content && this.keyPair?.privateKey) {
+      try {
+        const senderPublicKey = getPeerPublicKey(peerId);
+        if (senderPublicKey) {
+          payload = await unwrapEncryptedPayload(payload, senderPublicKey, this.keyPair.privateKey);
+        } else {
+          this.log(`No encryption key for ${short(peerId)}..., cannot decrypt`, 'warning');
+        }
+      } catch (e) {
+        // If decryption fails, ignore the message (safety-first for encrypted content)
+        this.log(`Failed to decrypt message from ${short(peerId)}...: ${e?.message || e}`, 'warning');
+        return;
+      }
+    }
+
+    if (!this.peerConnections.has(peerId)) {
+      this.peerConnections.set(peerId, null);
+      this.peerSources.set(peerId, 'Nostr');
+      this.peersChanged();
+      this.log(`Peer seen: ${short(peerId)}...`, 'success');
+    }
+
+    if (!payload || typeof payload !== 'object') return;
+
+    // NOTE: Do NOT learn/update peerSessions from arbitrary relay history.
+    // Only trust:
+    // - `hello` (broadcast presence)
+    // - messages targeted to this tab via `toSession === sessionNonce`
+
+    // Presence
+    if (payload.type === 'hello') {
+      if (!this.sessionNonce) return;
+      if (typeof payload.session !== 'string' || payload.session.length < 6) return;
+      const prev = this.peerSessions.get(peerId);
+      this.peerSessions.set(peerId, payload.session);
+      if (!prev || prev !== payload.session) {
+        this.log(`Peer session updated: ${short(peerId)}...`, 'info');
+      }
+      if (prev && prev !== payload.session) {
+        this.readyPeers.delete(peerId);
+      }
+      this.registerPublicKey(peerId, payload, 'hello');
+
+      // We may receive peer presence while still selecting a relay.
+      // Store and probe once we have a selected/connected `nostrClient`.
+      this.deferredHelloPeers.add(peerId);
+      await this.maybeProbePeer(peerId);
+      return;
+    }
+
+    if (payload.type === 'probe') {
+      this.learnPeerSession(peerId, payload.fromSession);
+
+      // Reply directly to the sender's session (fromSession) so the initiator doesn't drop it.
+      try {
+        await this.sendSignalToSession(peerId, { type: 'probe-ack', probeId: payload.probeId }, payload.fromSession);
+        this.log(`Probe ack -> ${short(peerId)}...`, 'info');
+      } catch (e) {
+        this.log(`Probe-ack failed: ${e?.message || e}`, 'warning');
+      }
+      return;
+    }
+
+    // Only accept signaling intended for THIS session
+    if (payload.toSession && payload.toSession !== this.sessionNonce) {
+      this.logDrop(peerId, payload, 'toSession mismatch');
+      await this.resyncPeerSession(peerId, 'toSession mismatch');
+      return;
+    }
+
+    // Signaling messages are always targeted
+    if (payload.to && payload.to !== this.peerId) {
+      this.logDrop(peerId, payload, 'to mismatch');
+      return;
+    }
+
+    // Now that we know it's targeted to this session, we can safely learn peer session.
+    this.learnPeerSession(peerId, payload.fromSession);
+
+    if (payload.type === 'probe-ack') {
+      const last = this.peerProbeState.get(peerId);
+      if (!last || !last.probeId || !payload.probeId || payload.probeId !== last.probeId) {
+        this.logDrop(peerId, payload, 'probeId mismatch');
+        return;
+      }
+      this.registerPublicKey(peerId, payload, 'probe-ack');
+      // Peer session can legitimately rotate between hello/probe/ack (reloads, relay history).
+      // Since this message is already targeted to our toSession, accept it and update our view.
+      if (typeof payload.fromSession === 'string' && payload.fromSession.length >= 6) {
+        this.peerSessions.set(peerId, payload.fromSession);
+        last.session = payload.fromSession;
+      }
+      if (Date.now() - last.ts > 30000) {
+        this.logDrop(peerId, payload, 'stale probe-ack');
+        return;
+      }
+
+      this.readyPeers.add(peerId);
+      if (this.shouldInitiateWith(peerId)) {
+        this.log(`Probe ack <- ${short(peerId)}...`, 'info');
+        await this.ensurePeerConnection(peerId);
+      }
+      return;
+    }
+
+    if (payload.type === 'signal-offer' && payload.sdp) {
+      await this.handleNostrOffer(peerId, payload.sdp);
+      return;
+    }
+
+    if (payload.type === 'signal-answer' && payload.sdp) {
+      this.log(`Received answer from ${short(peerId)}...`, 'info');
+      const pc = this.rtc(peerId);
+      if (!pc) return;
+      if (payload.sdp?.type && payload.sdp.type !== 'answer') {
+        this.log(`Ignoring non-answer in signal-answer from ${short(peerId)}...`, 'warning');
+        return;
+      }
+      // Perfect negotiation guard: only accept an answer when we have a local offer
+      if (pc.signalingState !== 'have-local-offer') {
+        this.log(`Ignoring answer; unexpected signaling state: ${pc.signalingState}`, 'warning');
+        return;
+      }
+      await pc.setRemoteDescription(payload.sdp);
+      await this.flushPendingIce(peerId);
+      return;
+    }
+
+    if (payload.type === 'signal-ice' && payload.candidate) {
+      this.log(`Received ICE candidate from ${short(peerId)}...`, 'info');
+      try {
+        await this.addIceCandidateSafely(peerId, payload.candidate);
+      } catch (e) {
+        this.log(`Failed to add ICE candidate: ${e?.message || e}`, 'warning');
+      }
+      return;
+    }
+
+    if (payload.type === 'signal-ice-batch' && Array.isArray(payload.candidates)) {
+      this.log(`Received ICE batch (${payload.candidates.length}) from ${short(peerId)}...`, 'info');
+      for (const c of payload.candidates) {
+        try {
+          await this.addIceCandidateSafely(peerId, c);
+        } catch (e) {
+          this.log(`Failed to add ICE candidate: ${e?.message || e}`, 'warning');
+        }
+      }
+    }
+  }
+
+  async handleNostrOffer(peerId, sdp) {
+    this.log(`Received offer from ${short(peerId)}...`, 'info');
+    // As the receiver we should always accept an offer even if probe logic didn't run.
+    let pc = await this.ensurePeerConnection(peerId) || await this.resetPeerConnection(peerId);
+    if (!pc) return;
+
+    // Offer collision handling: if we're not stable, decide whether to ignore or reset.
+    if (pc.signalingState !== 'stable') {
+      if (!this.isPoliteFor(peerId)) {
+        this.log(`Ignoring offer collision from ${short(peerId)}...`, 'warning');
+        return;
+      }
+      this.log(`Offer collision; resetting connection with ${short(peerId)}...`, 'warning');
+      await this.resetPeerConnection(peerId);
+      pc = this.rtc(peerId);
+      if (!pc) return;
+    }
+
+    // Only accept offers here.
+    if (sdp.type && sdp.type !== 'offer') {
+      this.log(`Ignoring non-offer in signal-offer from ${short(peerId)}...`, 'warning');
+      return;
+    }
+
+    await pc.setRemoteDescription(sdp);
+    await this.flushPendingIce(peerId);
+    if (pc.signalingState !== 'have-remote-offer') {
+      this.log(`Not answering; unexpected state: ${pc.signalingState}`, 'warning');
+      return;
+    }
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    try {
+      await this.sendSignal(peerId, { type: 'signal-answer', sdp: { type: pc.localDescription.type, sdp: pc.localDescription.sdp } });
+      this.log(`Sent answer to ${short(peerId)}...`, 'success');
+    } catch (e) {
+      this.log(`Failed to send answer: ${e?.message || e}`, 'error');
+    }
+  }
+
+  async connectHybrid() {
+    const { room, tracker, gun } = this.options;
+    // Loaded on demand: the tracker and Gun clients are browser-only
+    const { HybridSignaling } = await import('./services/hybridSignaling.js');
+
+    this.hybridSignaling = new HybridSignaling({
+      roomId: room,
+      peerId: this.peerId,
+      gunRelays: this.options.gunRelays,
+      iceServers: this.options.iceServers,
+      log: (message, level) => this.log(message, level),
+      onPeerDiscovered: ({ source, peerId, peer }) => {
+        if (peerId === this.peerId) return;
+        const sourceLabel = source === 'tracker' ? 'Tracker' : source === 'gun' ? 'Gun' : 'Nostr';
+        this.log(`Peer discovered via ${source}: ${short(peerId)}...`, 'info');
+        // FIRST discovery source wins (immutable), so a later Tracker discovery won't relabel a Gun peer
+        if (!this.peerSources.has(peerId)) {
+          this.peerSources.set(peerId, sourceLabel);
+        }
+
+        if (!this.peerConnections.has(peerId)) {
+          this.peerConnections.set(peerId, null);
+          this.peersChanged();
+        }
+
+        // Tracker peers arrive with their simple-peer instance
+        if (source === 'tracker' && peer) {
+          this.attachTrackerPeer(peerId, peer);
+        }
+
+        // Gun peers need no probe; the initiator offers straight away
+        if (source === 'gun' && this.shouldInitiateWith(peerId)) {
+          this.readyPeers.add(peerId);
+          this.initiateGunWebRTC(peerId);
+        }
+      },
+      onSignal: async ({ source, from, signal }) => {
+        this.lastSignalSource.set(from, source === 'gun' ? 'Gun' : 'Nostr');
+        this.log(`Signal via ${source} from ${short(from)}...`, 'info');
+        if (source === 'gun' && signal) {
+          await this.handleGunSignal(from, signal);
+        }
+      }
+    });
+
+    if (tracker) {
+      this.hybridSignaling.initTracker(this.options.trackers);
+    }
+
+    if (gun) {
+      try {
+        await this.hybridSignaling.initGun();
+      } catch (err) {
+        this.log(`Gun initialization failed: ${err?.message || err}`, 'error');
+      }
+    }
+  }
+
+  disconnect() {
+    if (this.nostrClient) {
+      this.nostrClient.disconnect().catch(() => {});
+      this.nostrClient = null;
+    }
+    this.sessionNonce = null;
+    this.peerSessions.clear();
+    this.peerProbeState.clear();
+    this.readyPeers.clear();
+    this.pendingIce.clear();
+    this.peerConnections.forEach((pc) => pc?.close());
+    this.peerConnections.clear();
+    this.dataChannels.clear();
+
+    this.trackerPeers.forEach((sp) => {
+      try { sp.destroy?.(); } catch {}
+    });
+    this.trackerPeers.clear();
+    if (this.hybridSignaling) {
+      this.hybridSignaling.shutdown();
+      this.hybridSignaling = null;
+      this.log('Hybrid signaling disconnected', 'info');
+    }
+    this.peersChanged();
+    this.emit('state', { connected: false });
+    this.closeIterators();
+  }
+
+  // Send to every open WebRTC channel (data channels first, then tracker peers); returns how many were sent to
+  broadcast(data) {
+    let sent = 0;
+
+    this.dataChannels.forEach((dc, peerId) => {
+      if (dc.readyState === 'open') {
+        try {
+          dc.send(data);
+          sent++;
+        } catch (err) {
+          this.log(`Failed to send to ${short(peerId)}... via data channel: ${err?.message || err}`, 'warning');
+        }
+      }
+    });
+
+    // Tracker peers use WebRTC internally via simple-peer
+    this.trackerPeers.forEach((sp, peerId) => {
+      if (sp && sp.connected && !this.dataChannels.has(peerId)) {
+        try {
+          sp.send(data);
+          sent++;
+        } catch (err) {
+          this.log(`Failed to send to ${short(peerId)}... via tracker: ${err?.message || err}`, 'warning');
+        }
+      }
+    });
+
+    return sent;
+  }
+
+  // Returns false if the peer has no open connection
+  send(peerId, data) {
+    const dc = this.dataChannels.get(peerId);
+    if (dc?.readyState === 'open') {
+      dc.send(data);
+      return true;
+    }
+    const sp = this.trackerPeers.get(peerId);
+    if (sp?.connected) {
+      sp.send(data);
+      return true;
+    }
+    return false;
+  }
+
+  async createPeerConnection(peerId, shouldInitiate) {
+    const existing = this.rtc(peerId);
+    if (existing) {
+      this.log(`Peer connection already exists for ${short(peerId)}...`, 'warning');
+      return existing;
+    }
+    // Replace a "seen" placeholder with a real connection
+    this.peerConnections.delete(peerId);
+
+    this.log(`Creating peer connection with ${short(peerId)}... (shouldInitiate: ${shouldInitiate})`, 'info');
+
+    const PeerConnection = this.options.RTCPeerConnection;
+    if (!PeerConnection) throw new Error('RTCPeerConnection is not available; pass one in the options');
+    const pc = new PeerConnection({ iceServers: this.options.iceServers });
+
+    // Register early to avoid races where answer/ICE arrives before this function finishes.
+    this.peerConnections.set(peerId, pc);
+    this.pendingIce.delete(peerId);
+    this.peersChanged();
+
+    pc.onicecandidate = (event) => {
+      // Route ICE to Gun if Nostr is disabled but Gun is enabled
+      if (!this.nostrClient && this.options.gun && this.hybridSignaling && event.candidate) {
+        this.hybridSignaling.sendGunSignal(peerId, {
+          type: 'ice',
+          candidate: event.candidate.toJSON?.() || event.candidate
+        });
+        return;
+      }
+
+      if (!this.nostrClient) return;
+
+      const entry = this.outboundIceBatches.get(peerId) || { candidates: [], timer: null };
+      this.outboundIceBatches.set(peerId, entry);
+
+      if (event.candidate) {
+        entry.candidates.push(event.candidate.toJSON?.() || event.candidate);
+      }
+
+      const flush = () => {
+        entry.timer = null;
+        if (!entry.candidates.length) return;
+        const batch = entry.candidates.splice(0, entry.candidates.length);
+        this.log(`Sending ICE batch (${batch.length}) to ${short(peerId)}...`, 'info');
+        this.sendSignal(peerId, { type: 'signal-ice-batch', candidates: batch }).catch((e) => {
+          this.log(`Failed to send ICE batch: ${e?.message || e}`, 'warning');
+        });
+      };
+
+      // If end-of-candidates, flush immediately; otherwise debounce.
+      if (!event.candidate) {
+        flush();
+        return;
+      }
+
+      if (!entry.timer) {
+        entry.timer = setTimeout(flush, 250);
+      }
+    };
+
+    pc.oniceconnectionstatechange = () => {
+      this.log(`ICE state (${short(peerId)}...): ${pc.iceConnectionState}`, 'info');
+      this.peersChanged();
+    };
+
+    pc.onconnectionstatechange = () => {
+      this.log(`Conn state (${short(peerId)}...): ${pc.connectionState}`, 'info');
+      const normalized = peerId.trim();
+      if (!this.peerPreferredSource.has(normalized) && pc.connectionState === 'connected') {
+        const source = this.lastSignalSource.get(normalized) || this.peerSources.get(normalized) || 'Nostr';
+        if (!this.peerSources.has(normalized)) {
+          this.peerSources.set(normalized, source);
+        }
+        this.setPreferredSource(normalized, source);
+      }
+      this.peersChanged();
+    };
+
+    pc.ondatachannel = (event) => {
+      this.log(`Received data channel from ${short(peerId)}`, 'info');
+      const normalized = peerId.trim();
+      this.setupDataChannel(normalized, event.channel, this.lastSignalSource.get(normalized) || null);
+    };
+
+    if (shouldInitiate) {
+      // Only create data channel if we don't have one yet
+      if (!this.dataChannels.has(peerId)) {
+        const dc = pc.createDataChannel(this.options.channelLabel);
+        this.setupDataChannel(peerId, dc, this.lastSignalSource.get(peerId) || 'Nostr');
+      } else {
+        this.log(`Data channel already exists for ${short(peerId)}, reusing`, 'info');
+      }
+
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+
+      this.initiatedPeers.add(peerId);
+
+      if (this.nostrClient) {
+        try {
+          await this.sendSignal(peerId, { type: 'signal-offer', sdp: { type: pc.localDescription.type, sdp: pc.localDescription.sdp } });
+          this.log(`Sent offer to ${short(peerId)}...`, 'success');
+        } catch (e) {
+          this.log(`Failed to send offer: ${e?.message || e}`, 'warning');
+        }
+      }
+    } else {
+      this.log(`Waiting for offer from ${short(peerId)}...`, 'info');
+    }
+    return pc;
+  }
+
+  setupDataChannel(peerId, dataChannel, sourceHint) {
+    // Normalize peer ID for consistent tracking
+    const normalized = peerId.trim();
+
+    // Avoid duplicate data channel setup
+    if (this.dataChannels.has(normalized)) {
+      this.log(`Data channel already exists for ${short(peerId)}, skipping duplicate`, 'warning');
+      return;
+    }
+
+    let source = null;
+    dataChannel.onopen = () => {
+      source = sourceHint || this.lastSignalSource.get(normalized) || 'Nostr';
+      this.log(`Data channel open with ${short(peerId)}...`, 'success');
+
+      if (!this.peerSources.has(normalized)) {
+        this.peerSources.set(normalized, source);
+      }
+      // Only set preferred if not already set (first wins)
+      if (!this.peerPreferredSource.get(normalized)) {
+        this.setPreferredSource(normalized, source);
+      }
+      this.emit('peer', { peerId: normalized, source });
+    };
+
+    dataChannel.onmessage = (event) => {
+      const preferred = this.peerPreferredSource.get(normalized);
+      // Tracker won this peer; ignore the data channel
+      if (preferred && preferred !== 'Nostr' && preferred !== 'Gun') return;
+      this.emit('message', { peerId: normalized, data: event.data, source: preferred || source });
+    };
+
+    dataChannel.onclose = () => {
+      this.log(`Data channel closed with ${short(peerId)}...`, 'warning');
+      this.dataChannels.delete(normalized);
+      // peerPreferredSource is kept so "first source wins" holds for the peer's lifetime,
+      // even if connections drop
+      if (source) this.emit('peer-left', { peerId: normalized, source });
+      this.peersChanged();
+    };
+
+    this.dataChannels.set(normalized, dataChannel);
+  }
+
+  async initiateGunWebRTC(peerId) {
+    try {
+      // If a preferred source already exists and it's not Gun, skip
+      const preferred = this.peerPreferredSource.get(peerId);
+      if (preferred && preferred !== 'Gun') {
+        this.log(`Not connecting to ${short(peerId)}... via Gun; it uses ${preferred}`, 'info');
+        return;
+      }
+
+      // Skip if we've already initiated with this peer via any method
+      if (this.initiatedPeers.has(peerId)) {
+        this.log(`Already initiated connection with ${short(peerId)}, skipping Gun offer`, 'info');
+        return;
+      }
+
+      this.log(`Initiating Gun WebRTC with ${short(peerId)}...`, 'info');
+
+      // Create the connection without initiating, so no Nostr offer is sent
+      const pc = this.rtc(peerId) || await this.createPeerConnection(peerId, false);
+      if (!pc) {
+        this.log(`Cannot initiate Gun WebRTC - peer connection failed`, 'warning');
+        return;
+      }
+
+      if (this.dataChannels.has(peerId)) {
+        this.log(`Data channel already exists for ${short(peerId)}, skipping Gun offer`, 'info');
+        return;
+      }
+
+      this.setupDataChannel(peerId, pc.createDataChannel(this.options.channelLabel), 'Gun');
+
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+
+      this.initiatedPeers.add(peerId);
+
+      if (this.hybridSignaling) {
+        this.hybridSignaling.sendGunSignal(peerId, {
+          type: 'offer',
+          sdp: { type: pc.localDescription.type, sdp: pc.localDescription.sdp }
+        });
+        this.log(`Sent Gun offer to ${short(peerId)}...`, 'success');
+      }
+    } catch (err) {
+      this.log(`Gun WebRTC initiation error: ${err?.message || err}`, 'error');
+    }
+  }
+
+  async handleGunSignal(peerId, signal) {
+    try {
+      const preferred = this.peerPreferredSource.get(peerId.trim());
+      if (preferred && preferred !== 'Gun') {
+        this.log(`Ignoring Gun signal from ${short(peerId)}...; it uses ${preferred}`, 'info');
+        return;
+      }
+
+      if (signal.type === 'offer' && signal.sdp) {
+        this.log(`Received Gun offer from ${short(peerId)}...`, 'info');
+        const pc = await this.ensurePeerConnection(peerId) || await this.resetPeerConnection(peerId);
+        if (!pc) return;
+
+        await pc.setRemoteDescription(signal.sdp);
+        await this.flushPendingIce(peerId);
+
+        const answer = await pc.createAnswer();
+        await pc.setLocalDescription(answer);
+
+        if (this.hybridSignaling) {
+          this.hybridSignaling.sendGunSignal(peerId, {
+            type: 'answer',
+            sdp: { type: pc.localDescription.type, sdp: pc.localDescription.sdp }
+          });
+          this.log(`Sent Gun answer to ${short(peerId)}...`, 'success');
+        }
+      } else if (signal.type === 'answer' && signal.sdp) {
+        this.log(`Received Gun answer from ${short(peerId)}...`, 'info');
+        const pc = this.rtc(peerId);
+        if (pc) {
+          await pc.setRemoteDescription(signal.sdp);
+          await this.flushPendingIce(peerId);
+          this.log(`Applied remote answer for ${short(peerId)}...`, 'success');
+        } else {
+          this.log(`No existing peer connection for answer from ${short(peerId)}...`, 'warning');
+        }
+      } else if (signal.type === 'ice' && signal.candidate) {
+        this.log(`Received Gun ICE from ${short(peerId)}...`, 'info');
+        await this.addIceCandidateSafely(peerId, signal.candidate);
+      }
+    } catch (err) {
+      this.log(`Gun signal error: ${err?.message || err}`, 'error');
+    }
+  }
+
+  attachTrackerPeer(peerId, peer) {
+    if (!peer) return;
+
+    // First source wins: if source exists and is not Tracker, ignore
+    const existingSource = this.peerSources.get(peerId);
+    if (existingSource && existingSource !== 'Tracker') {
+      this.log(`Closing tracker connection to ${short(peerId)}...; it uses ${existingSource}`, 'info');
+      peer.destroy?.();
+      return;
+    }
+
+    // Avoid attaching same peer multiple times (memory leak)
+    if (this.trackerPeers.has(peerId)) {
+      return;
+    }
+
+    this.trackerPeers.set(peerId, peer);
+    this.log(`Attaching tracker peer: ${short(peerId)}...`, 'info');
+    peer.setMaxListeners(0); // Prevent MaxListenersExceededWarning
+
+    const normalized = peerId.trim();
+    let connected = false;
+    peer.once('connect', () => {
+      const preferred = this.peerPreferredSource.get(normalized);
+      if (preferred && preferred !== 'Tracker') {
+        try { peer.destroy?.(); } catch {}
+        this.trackerPeers.delete(normalized);
+        return;
+      }
+      if (!this.peerSources.has(normalized)) {
+        this.peerSources.set(normalized, 'Tracker');
+      }
+      if (!preferred) {
+        this.setPreferredSource(normalized, 'Tracker');
+      }
+      connected = true;
+      this.log(`Tracker peer connected: ${short(peerId)}...`, 'success');
+      this.emit('peer', { peerId: normalized, source: 'Tracker' });
+    });
+
+    peer.on('data', (data) => {
+      const preferred = this.peerPreferredSource.get(normalized);
+      // Nostr/Gun won this peer; ignore the tracker connection
+      if (preferred && preferred !== 'Tracker') return;
+      try {
+        const text = typeof data === 'string' ? data : new TextDecoder().decode(data);
+        this.emit('message', { peerId: normalized, data: text, source: 'Tracker' });
+      } catch {
+        // ignore decode errors
+      }
+    });
+
+    peer.once('close', () => {
+      this.trackerPeers.delete(peerId);
+      // peerPreferredSource is kept so "first source wins" holds for the peer's lifetime
+      this.log(`Tracker peer closed: ${short(peerId)}...`, 'warning');
+      if (connected) this.emit('peer-left', { peerId: normalized, source: 'Tracker' });
+      this.peersChanged();
+    });
+
+    peer.once('error', (err) => {
+      this.log(`Tracker peer error: ${short(peerId)}... ${err?.message || err}`, 'warning');
+    });
+  }
+}
+
+export default UniWRTCMesh;
@@ -1,4 +1,4 @@
-import { generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools/pure';
+import { generateSecretKey, getPublicKey, finalizeEvent, verifyEvent } from 'nostr-tools/pure';
 
 function bytesToHex(bytes) {
   return Array.from(bytes)
@@ -10,12 +10,19 @@ function isHex64(s) {
   return typeof s === 'string' && /^[0-9a-fA-F]{64}$/.test(s);
 }
 
+// A new secret key, for callers that keep one identity across several clients
+export function createSecretKeyHex() {
+  return bytesToHex(generateSecretKey());
+}
+
 /**
  * Minimal Nostr relay client using raw WebSocket protocol.
  * - Publishes kind:1 events tagged with ['t', room] and ['room', room]
  * - Subscribes to kind:1 events filtered by #t
+ * - Only passes on events with a valid signature, so `from` is the sender's key
+ * - `WebSocket` is the socket class to use (defaults to the global one, e.g. pass `ws` in Node 20)
  */
-export function createNostrClient({ relayUrl, room, onPayload, onState, onNotice, onOk, storage, secretKeyHex } = {}) {
+export function createNostrClient({ relayUrl, room, onPayload, onState, onNotice, onOk, storage, secretKeyHex, WebSocket: WebSocketImpl = globalThis.WebSocket } = {}) {
   if (!relayUrl) throw new Error('relayUrl is required');
   if (!room) throw new Error('room is required');
 
@@ -118,6 +125,12 @@ export function createNostrClient({ relayUrl, room, onPayload, onState, onNotice
       const nostrEvent = msg[2];
       if (!nostrEvent || typeof nostrEvent !== 'object') return;
       if (nostrEvent.id && state.seen.has(nostrEvent.id)) return;
+      // Relays should check signatures, but a forged event must not pass as another key's
+      try {
+        if (!verifyEvent(nostrEvent)) return;
+      } catch {
+        return;
+      }
       if (nostrEvent.id) state.seen.add(nostrEvent.id);
 
       // Ignore our own events
@@ -151,7 +164,7 @@ export function createNostrClient({ relayUrl, room, onPayload, onState, onNotice
   }
 
   function sendRaw(frame) {
-    if (!state.ws || state.ws.readyState !== WebSocket.OPEN) {
+    if (!state.ws || state.ws.readyState !== WebSocketImpl.OPEN) {
       throw new Error('Relay not connected');
     }
     state.ws.send(JSON.stringify(frame));
@@ -162,11 +175,11 @@ export function createNostrClient({ relayUrl, room, onPayload, onState, onNotice
 
     setState('connecting');
 
-    if (typeof WebSocket === 'undefined') {
-      throw new Error('WebSocket is not available in this environment. This Nostr helper is browser-first; in Node you must provide a WebSocket global (e.g., via a polyfill).');
+    if (typeof WebSocketImpl === 'undefined') {
+      throw new Error('WebSocket is not available in this environment. Pass a WebSocket implementation (e.g. the `ws` package) as the WebSocket option.');
     }
 
-    const ws = new WebSocket(state.relayUrl);
+    const ws = new WebSocketImpl(state.relayUrl);
     state.ws = ws;
 
     await new Promise((resolve, reject) => {
@@ -261,7 +274,7 @@ export function createNostrClient({ relayUrl, room, onPayload, onState, onNotice
     state.ws = null;
 
     try {
-      if (ws && ws.readyState === WebSocket.OPEN) {
+      if (ws && ws.readyState === WebSocketImpl.OPEN) {
         try {
           ws.send(JSON.stringify(['CLOSE', state.subId]));
         } catch {
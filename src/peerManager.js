@@ -0,0 +1,288 @@
+import { UniWRTCEmitter } from '../client.js';
+
+// Public STUN servers used when no iceServers are given
+const DEFAULT_ICE_SERVERS = [
+  { urls: ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'] },
+  { urls: ['stun:stun.cloudflare.com:3478'] }
+];
+
+/**
+ * WebRTC mesh for a session, on top of a connected UniWRTCClient. Every member of
+ * the session gets an RTCPeerConnection with one data channel; offers, answers and
+ * ICE candidates go through the client, collisions are resolved with perfect
+ * negotiation, and failed connections are restarted or rebuilt.
+ *
+ * Events: `peer` ({ peerId, connection, channel }) when a peer's data channel opens,
+ * `peer-left` ({ peerId }) when it is gone, `data` ({ peerId, data }), `error`.
+ */
+export class UniWRTCRoom extends UniWRTCEmitter {
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.options = {
+      iceServers: DEFAULT_ICE_SERVERS,
+      channelLabel: 'data',
+      // RTCPeerConnection implementation, for runtimes without a global one
+      RTCPeerConnection: globalThis.RTCPeerConnection,
+      // A connection still failed this long after an ICE restart is rebuilt
+      iceRestartTimeout: 10000,
+      ...options
+    };
+    // peerId -> { connection, channel, polite, makingOffer, ignoreOffer, pendingIce, open, restartTimer }
+    this.connections = new Map();
+
+    // Signaling events from the client; the session's member list (on joins and
+    // rejoins after a reconnect) decides who to connect to
+    this.clientHandlers = {
+      'joined': ({ clients = [] }) => clients.forEach((peerId) => this.connectTo(peerId)),
+      'peer-joined': ({ peerId }) => this.connectTo(peerId),
+      'peer-left': ({ peerId }) => this.closePeer(peerId),
+      // The client has already left the closed session; only the connections remain
+      'session-closed': () => this.closeAll(),
+      'offer': ({ peerId, offer }) => this.handleDescription(peerId, offer),
+      'answer': ({ peerId, answer }) => this.handleDescription(peerId, answer),
+      'ice-candidate': ({ peerId, candidate }) => this.handleCandidate(peerId, candidate)
+    };
+    for (const [event, handler] of Object.entries(this.clientHandlers)) {
+      client.on(event, handler);
+    }
+  }
+
+  // Peers with an open data channel
+  get peers() {
+    return Array.from(this.connections.keys()).filter((peerId) => this.connections.get(peerId).open);
+  }
+
+  // The RTCPeerConnection for a peer, e.g. to add media tracks (renegotiation is automatic)
+  connection(peerId) {
+    return this.connections.get(peerId)?.connection || null;
+  }
+
+  // Join a session through the client; connections to its members follow from `joined`
+  join(sessionId, options) {
+    return this.client.joinSession(sessionId, options);
+  }
+
+  leave() {
+    this.closeAll();
+    return this.client.leaveSession();
+  }
+
+  closeAll() {
+    for (const peerId of Array.from(this.connections.keys())) this.closePeer(peerId);
+  }
+
+  // Leave, stop listening to the client and end open events() iterators
+  async close() {
+    for (const [event, handler] of Object.entries(this.clientHandlers)) {
+      this.client.off(event, handler);
+    }
+    this.closeIterators();
+    await this.leave();
+  }
+
+  // Returns false if the peer has no open data channel
+  send(peerId, data) {
+    const channel = this.connections.get(peerId)?.channel;
+    if (!channel || channel.readyState !== 'open') return false;
+    channel.send(data);
+    return true;
+  }
+
+  // Send to every peer with an open data channel; returns how many were sent to
+  broadcast(data) {
+    let sent = 0;
+    for (const peerId of this.connections.keys()) {
+      if (this.send(peerId, data)) sent++;
+    }
+    return sent;
+  }
+
+  // The peer whose ID sorts first creates the data channel (and so makes the first
+  // offer); the other one is "polite" and yields when offers collide
+  isPoliteTo(peerId) {
+    return String(this.client.clientId).localeCompare(peerId) > 0;
+  }
+
+  connectTo(peerId) {
+    if (!peerId || peerId === this.client.clientId) return;
+    const existing = this.connections.get(peerId);
+    if (existing && !['failed', 'closed'].includes(existing.connection.connectionState)) return;
+    if (existing) this.closePeer(peerId);
+    this.createPeer(peerId);
+  }
+
+  createPeer(peerId) {
+    const PeerConnection = this.options.RTCPeerConnection;
+    if (!PeerConnection) throw new Error('RTCPeerConnection is not available; pass one in the options');
+
+    const connection = new PeerConnection({ iceServers: this.options.iceServers });
+    const peer = {
+      connection,
+      channel: null,
+      polite: this.isPoliteTo(peerId),
+      makingOffer: false,
+      ignoreOffer: false,
+      pendingIce: [],
+      open: false,
+      restartTimer: null
+    };
+    this.connections.set(peerId, peer);
+
+    connection.onnegotiationneeded = async () => {
+      try {
+        peer.makingOffer = true;
+        await connection.setLocalDescription();
+        await this.client.sendOffer(describe(connection.localDescription), peerId);
+      } catch (error) {
+        this.reportError(peerId, error);
+      } finally {
+        peer.makingOffer = false;
+      }
+    };
+
+    connection.onicecandidate = ({ candidate }) => {
+      if (!candidate) return;
+      this.client.sendIceCandidate(candidate.toJSON?.() || candidate, peerId)
+        .catch((error) => this.reportError(peerId, error));
+    };
+
+    connection.onconnectionstatechange = () => {
+      if (this.connections.get(peerId) !== peer) return;
+      const state = connection.connectionState;
+      if (state === 'connected') {
+        clearTimeout(peer.restartTimer);
+        peer.restartTimer = null;
+      } else if (state === 'failed') {
+        this.restartPeer(peerId, peer);
+      } else if (state === 'closed') {
+        this.closePeer(peerId);
+      }
+    };
+
+    connection.ondatachannel = ({ channel }) => {
+      if (channel.label === this.options.channelLabel && !peer.channel) this.setupChannel(peerId, peer, channel);
+    };
+
+    if (!peer.polite) {
+      this.setupChannel(peerId, peer, connection.createDataChannel(this.options.channelLabel));
+    }
+    return peer;
+  }
+
+  setupChannel(peerId, peer, channel) {
+    peer.channel = channel;
+    channel.binaryType = 'arraybuffer';
+
+    channel.onopen = () => {
+      if (this.connections.get(peerId) !== peer) return;
+      peer.open = true;
+      this.emit('peer', { peerId, connection: peer.connection, channel });
+    };
+
+    channel.onmessage = (event) => {
+      this.emit('data', { peerId, data: event.data });
+    };
+
+    // The remote side closed the connection or it was rebuilt
+    channel.onclose = () => {
+      if (this.connections.get(peerId) === peer) this.closePeer(peerId);
+    };
+  }
+
+  // Try an ICE restart first; if the connection is still down after
+  // iceRestartTimeout, start over with a new one
+  restartPeer(peerId, peer) {
+    if (peer.restartTimer) return;
+    peer.connection.restartIce?.();
+    peer.restartTimer = setTimeout(() => {
+      peer.restartTimer = null;
+      if (this.connections.get(peerId) !== peer || peer.connection.connectionState === 'connected') return;
+      this.closePeer(peerId);
+      // The polite side waits for the other side's new offer
+      if (!peer.polite) this.createPeer(peerId);
+    }, this.options.iceRestartTimeout);
+  }
+
+  closePeer(peerId) {
+    const peer = this.connections.get(peerId);
+    if (!peer) return;
+    this.connections.delete(peerId);
+    clearTimeout(peer.restartTimer);
+    try {
+      peer.channel?.close();
+      peer.connection.close();
+    } catch {
+      // Already closed
+    }
+    if (peer.open) this.emit('peer-left', { peerId });
+  }
+
+  // Perfect negotiation: the impolite peer ignores an offer that collides with its
+  // own, the polite one rolls its offer back (setRemoteDescription does that implicitly)
+  async handleDescription(peerId, description) {
+    if (!description) return;
+    let peer = this.connections.get(peerId);
+    if (!peer && description.type !== 'offer') return;
+    peer ||= this.createPeer(peerId);
+    try {
+      await this.applyDescription(peerId, peer, description);
+    } catch (error) {
+      // An offer from a rebuilt connection can't be applied to the old one
+      if (description.type !== 'offer') return this.reportError(peerId, error);
+      this.closePeer(peerId);
+      peer = this.createPeer(peerId);
+      try {
+        await this.applyDescription(peerId, peer, description);
+      } catch (retryError) {
+        this.reportError(peerId, retryError);
+      }
+    }
+  }
+
+  async applyDescription(peerId, peer, description) {
+    const { connection } = peer;
+    const offerCollision = description.type === 'offer' &&
+      (peer.makingOffer || connection.signalingState !== 'stable');
+    peer.ignoreOffer = !peer.polite && offerCollision;
+    if (peer.ignoreOffer) return;
+
+    await connection.setRemoteDescription(description);
+    // Candidates that arrived before the description
+    for (const candidate of peer.pendingIce.splice(0)) {
+      await connection.addIceCandidate(candidate).catch((error) => this.reportError(peerId, error));
+    }
+    if (description.type === 'offer') {
+      await connection.setLocalDescription();
+      await this.client.sendAnswer(describe(connection.localDescription), peerId);
+    }
+  }
+
+  async handleCandidate(peerId, candidate) {
+    // A peer's offer reaches us before its candidates, so one without a connection
+    // is stray (e.g. from a connection we already closed) and is dropped
+    const peer = this.connections.get(peerId);
+    if (!candidate || !peer) return;
+    if (!peer.connection.remoteDescription) {
+      peer.pendingIce.push(candidate);
+      return;
+    }
+    try {
+      await peer.connection.addIceCandidate(candidate);
+    } catch (error) {
+      // Candidates for an offer we ignored are expected to fail
+      if (!peer.ignoreOffer) this.reportError(peerId, error);
+    }
+  }
+
+  reportError(peerId, error) {
+    this.emit('error', { peerId, message: error?.message || String(error) });
+  }
+}
+
+// Plain { type, sdp } so descriptions survive JSON signaling
+function describe(description) {
+  return { type: description.type, sdp: description.sdp };
+}
+
+export default UniWRTCRoom;
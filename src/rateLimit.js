@@ -0,0 +1,109 @@
+/**
+ * Token-bucket rate limiting for the signaling servers (server.js and the Room durable object).
+ *
+ * Each endpoint has its own limit; every (endpoint, key) pair gets a bucket holding up to
+ * `capacity` tokens that refills at `refillPerSecond`. Keys are whatever the caller wants
+ * to limit on, e.g. `ip:203.0.113.7` or `client:alice`. A request takes one token, and is
+ * refused with the number of seconds until one is available when the bucket is empty.
+ */
+
+// Endpoint -> { capacity, refillPerSecond }; an endpoint set to null is not limited.
+// Per-IP buckets are shared by everyone behind the same NAT, so they leave room for
+// many clients reconnecting at once.
+export const DEFAULT_RATE_LIMITS = {
+  connect: { capacity: 60, refillPerSecond: 1 },
+  'set-id': { capacity: 5, refillPerSecond: 0.1 },
+  join: { capacity: 60, refillPerSecond: 2 },
+  leave: { capacity: 60, refillPerSecond: 2 },
+  'leave-session': { capacity: 60, refillPerSecond: 2 },
+  signal: { capacity: 200, refillPerSecond: 50 },
+  poll: { capacity: 120, refillPerSecond: 20 },
+  events: { capacity: 60, refillPerSecond: 1 },
+  'list-rooms': { capacity: 20, refillPerSecond: 1 }
+};
+
+/**
+ * Whether an endpoint is also limited per IP. set-id needs a connected client, which
+ * /api/connect already charged to the IP, and reconnecting clients use it to resume
+ * their ID, so it is only limited per client.
+ * @param {string} endpoint
+ */
+export function limitsByIp(endpoint) {
+  return endpoint !== 'set-id';
+}
+
+/**
+ * Merge a JSON override (e.g. from a RATE_LIMITS env var) over the defaults
+ * @param {string} [raw] - JSON object of endpoint -> { capacity, refillPerSecond } or null
+ * @returns {object} Limits keyed by endpoint
+ */
+export function parseRateLimits(raw) {
+  if (!raw) return { ...DEFAULT_RATE_LIMITS };
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch {
+    throw new Error('RATE_LIMITS must be a JSON object');
+  }
+  return { ...DEFAULT_RATE_LIMITS, ...overrides };
+}
+
+/**
+ * Create a limiter
+ * @param {object} [options]
+ * @param {object} [options.limits] - Limits keyed by endpoint (defaults to DEFAULT_RATE_LIMITS)
+ * @param {number} [options.maxBuckets] - Past this many, the least recently used buckets are dropped
+ * @returns {{ take: Function, reset: Function }}
+ */
+export function createRateLimiter({ limits = DEFAULT_RATE_LIMITS, maxBuckets = 10_000 } = {}) {
+  // `${endpoint}\n${key}` -> { tokens, updatedAt }, least recently used first: a bucket
+  // is moved to the end whenever it is used, so eviction takes from the front
+  const buckets = new Map();
+
+  function refill(bucket, limit, now) {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  return {
+    /**
+     * Take one token from every key's bucket for an endpoint. Nothing is taken
+     * unless all of the buckets have a token.
+     * @param {string} endpoint - e.g. 'signal'
+     * @param {Array<string|null|undefined>} keys - Bucket keys; empty entries are skipped
+     * @returns {{ allowed: boolean, retryAfter: number }} retryAfter is in whole seconds
+     */
+    take(endpoint, keys, now = Date.now()) {
+      const limit = limits[endpoint];
+      if (!limit) return { allowed: true, retryAfter: 0 };
+
+      const held = [];
+      let wait = 0;
+      for (const key of keys) {
+        if (!key) continue;
+        const id = `${endpoint}\n${key}`;
+        let bucket = buckets.get(id);
+        if (!bucket) {
+          bucket = { tokens: limit.capacity, updatedAt: now };
+          // A bucket unused for this long has usually refilled anyway
+          while (buckets.size >= maxBuckets) buckets.delete(buckets.keys().next().value);
+        } else {
+          buckets.delete(id);
+          refill(bucket, limit, now);
+        }
+        buckets.set(id, bucket);
+        if (bucket.tokens < 1) wait = Math.max(wait, (1 - bucket.tokens) / limit.refillPerSecond);
+        held.push(bucket);
+      }
+
+      if (wait > 0) return { allowed: false, retryAfter: Math.max(1, Math.ceil(wait)) };
+      for (const bucket of held) bucket.tokens -= 1;
+      return { allowed: true, retryAfter: 0 };
+    },
+
+    reset() {
+      buckets.clear();
+    }
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * The checks every signaling request goes through before it reaches the core: rate
+ * limits and, when a secret is configured, access tokens. Shared by server.js and the
+ * Room durable object so both turn requests away the same way.
+ *
+ * A check resolves with { claims } (null without auth) when the request may go ahead,
+ * or { rejected: { status, message, retryAfter? } } for the adapter to answer with.
+ */
+
+import { verifyAccessToken, extractAccessToken, checkTokenAccess, tokenAllowsPeerId } from './auth.js';
+import { limitsByIp } from './rateLimit.js';
+
+/**
+ * Create a guard
+ * @param {object} options
+ * @param {{ take: Function }} options.rateLimiter - From createRateLimiter()
+ * @param {string} [options.authSecret] - When set, every request needs a token signed with it
+ * @returns {{ checkRequest: Function, checkUpgrade: Function }}
+ */
+export function createRequestGuard({ rateLimiter, authSecret }) {
+  const rateLimited = (retryAfter) => ({ rejected: { status: 429, message: 'Too many requests', retryAfter } });
+  const forbidden = (message) => ({ rejected: { status: 403, message } });
+
+  async function verify(authorization, searchParams, body) {
+    try {
+      return { claims: await verifyAccessToken(extractAccessToken(authorization, searchParams, body), authSecret) };
+    } catch (err) {
+      return { rejected: { status: 401, message: err.message } };
+    }
+  }
+
+  return {
+    /**
+     * Check an /api/* request. The body is only read once the per-IP limit has passed,
+     * so floods are turned away before any parsing or token checks.
+     * @param {object} request
+     * @param {string} request.endpoint - e.g. 'signal'
+     * @param {string} request.room - Room key
+     * @param {string} request.ip - Client address
+     * @param {string|null} request.authorization - Authorization header value
+     * @param {URLSearchParams} request.searchParams - Request query
+     * @param {() => Promise<object>} request.readBody - Parses the body ({} when there is none)
+     * @returns {Promise<object>} { claims, body } or { rejected }
+     */
+    async checkRequest({ endpoint, room, ip, authorization, searchParams, readBody }) {
+      const byIp = rateLimiter.take(endpoint, [limitsByIp(endpoint) && `ip:${ip}`]);
+      if (!byIp.allowed) return rateLimited(byIp.retryAfter);
+
+      const body = await readBody();
+
+      let claims = null;
+      if (authSecret) {
+        const verified = await verify(authorization, searchParams, body);
+        if (verified.rejected) return verified;
+        claims = verified.claims;
+        // Never forward the token to peers along with a signal
+        delete body.token;
+
+        const denied = checkTokenAccess(claims, {
+          room,
+          sessionId: endpoint === 'join' ? body.sessionId : undefined,
+          clientId: body.clientId || searchParams.get('clientId') || undefined
+        });
+        if (denied) return forbidden(denied);
+        if (endpoint === 'set-id' && body.customId && !tokenAllowsPeerId(claims, body.customId)) {
+          return forbidden('Token not valid for this peer ID');
+        }
+      }
+
+      // Per-client limit once the clientId is known (and, with auth, verified)
+      const clientId = body.clientId || searchParams.get('clientId');
+      if (clientId) {
+        const byClient = rateLimiter.take(endpoint, [`client:${clientId}`]);
+        if (!byClient.allowed) return rateLimited(byClient.retryAfter);
+      }
+      return { claims, body };
+    },
+
+    /**
+     * Check a WebSocket upgrade: the per-IP connect limit, then the token's room
+     * @param {object} request - { room, ip, authorization, searchParams }
+     * @returns {Promise<object>} { claims } or { rejected }
+     */
+    async checkUpgrade({ room, ip, authorization, searchParams }) {
+      const limited = rateLimiter.take('connect', [`ip:${ip}`]);
+      if (!limited.allowed) return rateLimited(limited.retryAfter);
+      if (!authSecret) return { claims: null };
+
+      const verified = await verify(authorization, searchParams);
+      if (verified.rejected) return verified;
+      const denied = checkTokenAccess(verified.claims, { room });
+      return denied ? forbidden(denied) : verified;
+    }
+  };
+}
@@ -1,179 +1,395 @@
+import { createRateLimiter, parseRateLimits } from './rateLimit.js';
+import { createRequestGuard } from './requestGuard.js';
+import { createSignalingCore, createRoomState, parsePollWait } from './signalingCore.js';
+
+// The room is stored in small values so none comes near the per-value size limit:
+// 'meta' holds the room key and drop count, 'client:<id>' each client (with its
+// overflow count) and 'queue:<id>:<seq>' each queued message. Sessions are rebuilt
+// from the clients.
+const META_KEY = 'meta';
+const CLIENT_PREFIX = 'client:';
+const QUEUE_PREFIX = 'queue:';
+// Rooms written before the split kept their whole snapshot under this key
+const LEGACY_KEY = 'room';
+// Durable object storage takes at most 128 keys per put() or delete()
+const STORAGE_BATCH = 128;
+// How often the alarm prunes stale clients while the room has any
+const PRUNE_INTERVAL_MS = 30_000;
+
 /**
- * Legacy room state for HTTP polling signaling (no WebSockets)
+ * Room durable object for HTTP polling and (hibernatable) WebSocket signaling.
+ * The protocol is the shared core in ./signalingCore.js and requests go through the same
+ * checks as server.js (./requestGuard.js); SSE, the admin API and metrics are server.js only.
  */
 export class Room {
   constructor(state, env) {
     this.state = state;
     this.env = env;
 
-    // HTTP mode (no WebSockets)
-    this.httpClients = new Map(); // clientId -> { lastSeen: number, sessionId: string | null }
-    this.httpQueues = new Map(); // clientId -> Array<message>
-  }
-
-  async fetch(request) {
-    const url = new URL(request.url);
-
-    if (request.headers.get('Upgrade') === 'websocket') {
-      return new Response('WebSockets disabled; use /api (HTTP polling)', { status: 410 });
+    // Clients, queues and sessions; keyed on the first request's ?room=
+    this.room = null;
+    this.dirty = false;
+    // Storage key -> what was last written there, so persist() only writes changes
+    this.stored = new Map();
+
+    // clientId -> WebSocket. Sockets survive hibernation with their clientId in the
+    // attachment, so the map is rebuilt whenever the object is recreated.
+    this.sockets = new Map();
+    for (const ws of this.state.getWebSockets()) {
+      const { clientId } = ws.deserializeAttachment() || {};
+      if (clientId) this.sockets.set(clientId, ws);
     }
+    // clientId -> Set(wake) for long-polls held open until a message is queued
+    this.waiters = new Map();
+
+    // Per-client queue limits and message expiry (Worker vars override the defaults)
+    this.core = createSignalingCore({
+      hooks: {
+        changed: () => {
+          this.dirty = true;
+        },
+        queued: (room, clientId) => {
+          this.wakePollWaiters(clientId);
+          this.flushSocket(room, clientId);
+        },
+        // A client parked in a long-poll isn't pruned
+        connected: (room, clientId) => this.sockets.has(clientId) || this.waiters.has(clientId),
+        renamed: (room, oldId, newId) => {
+          // Release long-polls held under the old id; the client polls again with the new one
+          this.wakePollWaiters(oldId);
+          // A WebSocket stays open across the rename
+          const ws = this.sockets.get(oldId);
+          if (!ws) return;
+          this.sockets.delete(oldId);
+          this.sockets.set(newId, ws);
+          ws.serializeAttachment({ ...ws.deserializeAttachment(), clientId: newId });
+        },
+        removed: (room, clientId) => {
+          this.wakePollWaiters(clientId);
+          const ws = this.sockets.get(clientId);
+          this.sockets.delete(clientId);
+          // No-op when the socket closing is what removed the client
+          try {
+            ws?.close(1000, 'Client removed');
+          } catch {
+            // Already closed
+          }
+        }
+      },
+      generateId: () => crypto.randomUUID().substring(0, 9),
+      queueMaxMessages: Number(env?.QUEUE_MAX_MESSAGES) || undefined,
+      queueMaxBytes: Number(env?.QUEUE_MAX_BYTES) || undefined,
+      clientTtlMs: Number(env?.CLIENT_TTL_MS) || undefined,
+      messageTtlMs: Number(env?.MESSAGE_TTL_MS) || undefined,
+      maxClientsPerRoom: Number(env?.MAX_CLIENTS_PER_ROOM) || undefined,
+      maxSessionsPerRoom: Number(env?.MAX_SESSIONS_PER_ROOM) || undefined
+    });
 
-    // HTTP signaling API (no WebSockets)
-    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
-      return this.handleHttpApi(request, url);
-    }
+    // Token buckets per endpoint, keyed by IP and by clientId. Buckets live in this
+    // object, so limits apply per room rather than across the whole deployment.
+    this.rateLimiter = createRateLimiter({ limits: parseRateLimits(env?.RATE_LIMITS) });
+    // Rate limits and token checks, the same as server.js
+    this.guard = createRequestGuard({ rateLimiter: this.rateLimiter, authSecret: env?.AUTH_SECRET });
 
-    return new Response('Not Found', { status: 404 });
+    // Rebuild the room after an eviction before any request sees it. Restored clients
+    // get a full TTL to poll again.
+    this.state.blockConcurrencyWhile(() => this.load());
   }
 
-  json(data, status = 200) {
-    return new Response(JSON.stringify(data), {
-      status,
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8',
-        'Cache-Control': 'no-store'
+  async load() {
+    const meta = await this.state.storage.get(META_KEY);
+    if (!meta) {
+      const legacy = await this.state.storage.get(LEGACY_KEY);
+      if (legacy) {
+        this.room = this.core.restoreRoom(createRoomState(legacy.key), legacy);
+        // Rewrite it in the split layout on the next persist
+        this.stored.set(LEGACY_KEY, legacy);
+        this.dirty = true;
       }
-    });
-  }
+      return;
+    }
 
-  ensureHttpQueue(clientId) {
-    if (!this.httpQueues.has(clientId)) this.httpQueues.set(clientId, []);
-    return this.httpQueues.get(clientId);
+    const snapshot = { clients: [], queues: [], sessions: [], overflows: [], dropped: meta.dropped };
+    const sessions = new Map();
+    for (const [key, { client, overflow }] of await this.state.storage.list({ prefix: CLIENT_PREFIX })) {
+      this.stored.set(key, JSON.stringify({ client, overflow }));
+      snapshot.clients.push(client);
+      if (overflow) snapshot.overflows.push([client.clientId, overflow]);
+      if (client.sessionId) {
+        if (!sessions.has(client.sessionId)) sessions.set(client.sessionId, []);
+        sessions.get(client.sessionId).push(client.clientId);
+      }
+    }
+    snapshot.sessions = Array.from(sessions.entries());
+
+    const queues = new Map();
+    for (const [key, entry] of await this.state.storage.list({ prefix: QUEUE_PREFIX })) {
+      this.stored.set(key, entry);
+      const clientId = key.slice(QUEUE_PREFIX.length, key.lastIndexOf(':'));
+      if (!queues.has(clientId)) queues.set(clientId, []);
+      queues.get(clientId).push(entry);
+    }
+    for (const q of queues.values()) q.sort((a, b) => a.message.seq - b.message.seq);
+    snapshot.queues = Array.from(queues.entries());
+
+    this.stored.set(META_KEY, JSON.stringify(meta));
+    this.room = this.core.restoreRoom(createRoomState(meta.key), snapshot);
   }
 
-  enqueueHttpMessage(clientId, message) {
-    const queue = this.ensureHttpQueue(clientId);
-    queue.push(message);
+  // Storage key -> value for the room as it is now. Client records are compared as
+  // JSON; queued entries never change, so their own object is compared.
+  storageEntries() {
+    const entries = new Map();
+    if (this.room.clients.size === 0) return entries;
+    const { clients, queues, overflows, dropped } = this.core.serializeRoom(this.room);
+    const overflowCounts = new Map(overflows);
+    entries.set(META_KEY, JSON.stringify({ key: this.room.key, dropped }));
+    // lastSeen is left out: it changes on every request and a restore resets it anyway
+    for (const { lastSeen, ...client } of clients) {
+      const overflow = overflowCounts.get(client.clientId) || 0;
+      entries.set(CLIENT_PREFIX + client.clientId, JSON.stringify({ client, overflow }));
+    }
+    for (const [clientId, q] of queues) {
+      if (!this.room.clients.has(clientId)) continue;
+      for (const entry of q) entries.set(`${QUEUE_PREFIX}${clientId}:${entry.message.seq}`, entry);
+    }
+    return entries;
   }
 
-  pruneHttpClients(now = Date.now()) {
-    const STALE_MS = 60_000;
-    const stale = [];
-    for (const [id, meta] of this.httpClients) {
-      if (now - meta.lastSeen > STALE_MS) stale.push(id);
+  // Write what changed in the room since the last persist; on failure the room stays
+  // dirty so the next request or alarm retries
+  async persist() {
+    if (!this.dirty || !this.room) return;
+    this.dirty = false;
+    const entries = this.storageEntries();
+    const puts = [];
+    for (const [key, value] of entries) {
+      if (this.stored.get(key) !== value) puts.push([key, value]);
     }
-    for (const id of stale) {
-      this.httpClients.delete(id);
-      this.httpQueues.delete(id);
-      for (const [otherId] of this.httpClients) {
-        this.enqueueHttpMessage(otherId, { type: 'peer-left', peerId: id, sessionId: null });
+    const deletes = Array.from(this.stored.keys()).filter((key) => !entries.has(key));
+    try {
+      for (let i = 0; i < puts.length; i += STORAGE_BATCH) {
+        const batch = puts.slice(i, i + STORAGE_BATCH);
+        await this.state.storage.put(Object.fromEntries(batch.map(([key, value]) => [key, typeof value === 'string' ? JSON.parse(value) : value])));
+        for (const [key, value] of batch) this.stored.set(key, value);
+      }
+      for (let i = 0; i < deletes.length; i += STORAGE_BATCH) {
+        const batch = deletes.slice(i, i + STORAGE_BATCH);
+        await this.state.storage.delete(batch);
+        for (const key of batch) this.stored.delete(key);
       }
+    } catch (err) {
+      this.dirty = true;
+      console.log('[Room] Storage error:', err?.message || String(err));
     }
   }
 
-  async readJson(request) {
-    try {
-      return await request.json();
-    } catch {
-      return null;
+  // Keep an alarm pending while there are polling clients, so stale ones are pruned
+  // (and their sessions told) even when no requests come in. Sockets report their own
+  // close, so a room of only WebSocket clients can hibernate undisturbed.
+  async scheduleAlarm() {
+    if (!this.room || Array.from(this.room.clients.keys()).every((clientId) => this.sockets.has(clientId))) return;
+    if (await this.state.storage.getAlarm() === null) {
+      await this.state.storage.setAlarm(Date.now() + PRUNE_INTERVAL_MS);
     }
   }
 
-  async handleHttpApi(request, url) {
-    this.pruneHttpClients();
+  async alarm() {
+    if (this.room) this.core.pruneStaleClients(this.room);
+    await this.persist();
+    await this.scheduleAlarm();
+  }
 
-    const path = url.pathname;
+  async fetch(request) {
+    const url = new URL(request.url);
 
-    if (request.method === 'POST' && (path === '/api/connect' || path === '/api')) {
-      const clientId = crypto.randomUUID().substring(0, 9);
-      this.httpClients.set(clientId, { lastSeen: Date.now(), sessionId: null });
-      this.ensureHttpQueue(clientId);
-      return this.json({ type: 'welcome', clientId, message: 'Connected (HTTP polling)' });
+    if (request.headers.get('Upgrade') === 'websocket') {
+      const response = await this.acceptSocket(request, url);
+      await this.persist();
+      await this.scheduleAlarm();
+      return response;
     }
 
-    if (request.method === 'POST' && path === '/api/set-id') {
-      const body = await this.readJson(request);
-      const { clientId, customId } = body || {};
-      if (!clientId || !this.httpClients.has(clientId)) return this.json({ type: 'error', message: 'Unknown clientId' }, 400);
-      if (!customId || customId.length < 3 || customId.length > 20) return this.json({ type: 'error', message: 'Custom ID must be 3-20 characters' }, 400);
-      if (this.httpClients.has(customId)) return this.json({ type: 'error', message: 'Peer ID already taken' }, 409);
+    // HTTP signaling API (no WebSockets)
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+      const response = await this.handleHttpApi(request, url);
+      await this.persist();
+      await this.scheduleAlarm();
+      return response;
+    }
 
-      const meta = this.httpClients.get(clientId);
-      const queue = this.ensureHttpQueue(clientId);
+    return new Response('Not Found', { status: 404 });
+  }
 
-      this.httpClients.delete(clientId);
-      this.httpClients.set(customId, { ...meta, lastSeen: Date.now() });
-      this.httpQueues.delete(clientId);
-      this.httpQueues.set(customId, queue);
+  // Resolves once a message is queued for the client (or it is renamed or removed),
+  // or after `wait` ms
+  waitForMessages(clientId, wait) {
+    return new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer);
+        const waiters = this.waiters.get(clientId);
+        waiters?.delete(wake);
+        if (waiters?.size === 0) this.waiters.delete(clientId);
+        resolve();
+      };
+      const timer = setTimeout(wake, wait);
+      if (!this.waiters.has(clientId)) this.waiters.set(clientId, new Set());
+      this.waiters.get(clientId).add(wake);
+    });
+  }
 
-      for (const [otherId] of this.httpClients) {
-        if (otherId !== customId) {
-          this.enqueueHttpMessage(otherId, { type: 'peer-id-changed', oldId: clientId, newId: customId });
-        }
-      }
+  wakePollWaiters(clientId) {
+    for (const wake of Array.from(this.waiters.get(clientId) || [])) wake();
+  }
 
-      return this.json({ type: 'welcome', clientId: customId, message: 'Custom peer ID set' });
+  // Drain the client's queue onto its WebSocket, if it is connected over one
+  flushSocket(room, clientId) {
+    const ws = this.sockets.get(clientId);
+    if (!ws) return;
+    for (const message of this.core.drainQueue(room, clientId)) this.sendFrame(ws, message);
+  }
+
+  sendFrame(ws, message) {
+    try {
+      ws.send(JSON.stringify(message));
+    } catch {
+      // Closed; webSocketClose removes the client
     }
+  }
 
-    if (request.method === 'POST' && path === '/api/join') {
-      const body = await this.readJson(request);
-      const { clientId, sessionId } = body || {};
-      if (!clientId || !this.httpClients.has(clientId)) return this.json({ type: 'error', message: 'Unknown clientId' }, 400);
+  // WebSocket transport, speaking the same JSON frames as server.js (client-browser.js).
+  // Accepted through the hibernation API, so idle sockets don't keep the object in memory.
+  async acceptSocket(request, url) {
+    this.room ??= createRoomState(url.searchParams.get('room') || 'default');
+    this.core.pruneStaleClients(this.room);
+
+    const { claims, rejected } = await this.guard.checkUpgrade({
+      room: url.searchParams.get('room') || 'default',
+      ip: this.clientIp(request),
+      authorization: request.headers.get('Authorization'),
+      searchParams: url.searchParams
+    });
+    if (rejected) return this.rejected(rejected);
+
+    const pair = new WebSocketPair();
+    const ws = pair[1];
+    this.state.acceptWebSocket(ws);
+
+    const welcome = this.core.connect(this.room, { clientId: claims?.sub });
+    if (welcome.status !== 200) {
+      this.sendFrame(ws, welcome.body);
+      // 4000 + the HTTP status: 4409 for a taken peer ID, 4429 for a full room
+      ws.close(4000 + welcome.status, welcome.body.message);
+    } else {
+      ws.serializeAttachment({ clientId: welcome.body.clientId, claims });
+      this.sockets.set(welcome.body.clientId, ws);
+      this.sendFrame(ws, welcome.body);
+    }
+    return new Response(null, { status: 101, webSocket: pair[0] });
+  }
+
+  async webSocketMessage(ws, data) {
+    const { clientId, claims } = ws.deserializeAttachment() || {};
+    if (!clientId || !this.room || this.sockets.get(clientId) !== ws) return;
+    // A set-id moves the socket and its attachment over through the renamed hook
+    const { reply } = this.core.handleFrame(this.room, clientId, typeof data === 'string' ? data : new TextDecoder().decode(data), {
+      claims,
+      limit: (endpoint) => this.rateLimiter.take(endpoint, [`client:${clientId}`])
+    });
+    if (reply) this.sendFrame(ws, reply);
+    await this.persist();
+  }
 
-      const meta = this.httpClients.get(clientId);
-      meta.lastSeen = Date.now();
-      meta.sessionId = sessionId || meta.sessionId || null;
+  async webSocketClose(ws) {
+    const { clientId } = ws.deserializeAttachment() || {};
+    if (!clientId || !this.room || this.sockets.get(clientId) !== ws) return;
+    this.sockets.delete(clientId);
+    this.core.removeClient(this.room, clientId);
+    await this.persist();
+    await this.scheduleAlarm();
+  }
 
-      const peers = Array.from(this.httpClients.keys()).filter(id => id !== clientId);
+  async webSocketError(ws) {
+    await this.webSocketClose(ws);
+  }
 
-      for (const [otherId, otherMeta] of this.httpClients) {
-        if (otherId !== clientId) {
-          this.enqueueHttpMessage(otherId, { type: 'peer-joined', peerId: clientId, sessionId: otherMeta.sessionId || meta.sessionId || null });
-        }
+  json(data, status = 200, headers = {}) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
       }
+    });
+  }
 
-      return this.json({
-        type: 'joined',
-        sessionId: meta.sessionId,
-        clientId,
-        clients: peers
-      });
-    }
+  // Answer a request the guard turned away
+  rejected({ status, message, retryAfter }) {
+    return this.json({ type: 'error', message }, status, retryAfter ? { 'Retry-After': String(retryAfter) } : {});
+  }
 
-    if (request.method === 'POST' && path === '/api/leave') {
-      const body = await this.readJson(request);
-      const { clientId } = body || {};
-      if (!clientId || !this.httpClients.has(clientId)) return this.json({ type: 'error', message: 'Unknown clientId' }, 400);
+  clientIp(request) {
+    return request.headers.get('CF-Connecting-IP') || 'unknown';
+  }
 
-      this.httpClients.delete(clientId);
-      this.httpQueues.delete(clientId);
-      for (const [otherId] of this.httpClients) {
-        this.enqueueHttpMessage(otherId, { type: 'peer-left', peerId: clientId, sessionId: null });
-      }
-      return this.json({ ok: true });
+  async readJson(request) {
+    try {
+      return await request.json();
+    } catch {
+      return null;
     }
+  }
 
-    if (request.method === 'POST' && path === '/api/signal') {
-      const body = await this.readJson(request);
-      const { clientId, targetId, type, offer, answer, candidate, sessionId } = body || {};
-      if (!clientId || !this.httpClients.has(clientId)) return this.json({ type: 'error', message: 'Unknown clientId' }, 400);
-      if (!targetId) return this.json({ type: 'error', message: 'targetId is required' }, 400);
-      if (!this.httpClients.has(targetId)) return this.json({ type: 'error', message: `Target peer ${targetId} not found` }, 404);
-      if (!type) return this.json({ type: 'error', message: 'type is required' }, 400);
-
-      const meta = this.httpClients.get(clientId);
-      meta.lastSeen = Date.now();
-      if (sessionId && !meta.sessionId) meta.sessionId = sessionId;
-
-      const forwardMessage = { type, peerId: clientId };
-      if (offer) forwardMessage.offer = offer;
-      if (answer) forwardMessage.answer = answer;
-      if (candidate) forwardMessage.candidate = candidate;
-
-      this.enqueueHttpMessage(targetId, forwardMessage);
-      return this.json({ ok: true });
-    }
+  async handleHttpApi(request, url) {
+    this.room ??= createRoomState(url.searchParams.get('room') || 'default');
+    this.core.pruneStaleClients(this.room);
 
-    if (request.method === 'GET' && path === '/api/poll') {
+    const path = url.pathname;
+    const endpoint = path === '/api' ? 'connect' : path.slice('/api/'.length);
+
+    const checked = await this.guard.checkRequest({
+      endpoint,
+      room: url.searchParams.get('room') || 'default',
+      ip: this.clientIp(request),
+      authorization: request.headers.get('Authorization'),
+      searchParams: url.searchParams,
+      readBody: async () => (request.method === 'POST' ? (await this.readJson(request)) || {} : {})
+    });
+    if (checked.rejected) return this.rejected(checked.rejected);
+    const { claims, body } = checked;
+
+    let result = null;
+    if (request.method === 'POST' && endpoint === 'connect') {
+      // With auth enabled the clientId is the token subject
+      result = this.core.connect(this.room, { clientId: claims?.sub });
+    } else if (request.method === 'POST' && endpoint === 'set-id') {
+      result = this.core.setId(this.room, body);
+    } else if (request.method === 'POST' && endpoint === 'join') {
+      result = this.core.join(this.room, body);
+    } else if (request.method === 'POST' && endpoint === 'leave') {
+      result = this.core.leave(this.room, body);
+    } else if (request.method === 'POST' && endpoint === 'leave-session') {
+      result = this.core.leaveSession(this.room, body);
+    } else if (request.method === 'POST' && endpoint === 'signal') {
+      result = this.core.signal(this.room, body);
+    } else if (request.method === 'GET' && endpoint === 'poll') {
+      // With ?ack= only acknowledged messages are dropped and the rest are redelivered;
+      // without it the queue is drained on read.
       const clientId = url.searchParams.get('clientId');
-      if (!clientId || !this.httpClients.has(clientId)) return this.json({ type: 'error', message: 'Unknown clientId' }, 400);
-      const meta = this.httpClients.get(clientId);
-      meta.lastSeen = Date.now();
-
-      const queue = this.ensureHttpQueue(clientId);
-      const messages = queue.splice(0, queue.length);
-      return this.json({ messages });
+      const ack = url.searchParams.has('ack') ? Number.parseInt(url.searchParams.get('ack'), 10) || 0 : null;
+      const wait = parsePollWait(url.searchParams.get('wait'));
+      result = this.core.poll(this.room, { clientId, ack });
+      // Long-poll: hold the request until a message is queued or the wait expires.
+      // Other requests still run meanwhile; only storage operations hold them back.
+      if (result.status === 200 && result.body.messages.length === 0 && wait > 0) {
+        await this.waitForMessages(clientId, wait);
+        const client = this.room.clients.get(clientId);
+        if (client) client.lastSeen = Date.now();
+        result = { status: 200, body: { messages: client ? this.core.takeMessages(this.room, clientId, ack) : [] } };
+      }
     }
+    if (result) return this.json(result.body, result.status);
 
     return this.json({ type: 'error', message: 'Not Found' }, 404);
   }
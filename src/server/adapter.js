@@ -0,0 +1,233 @@
+import net from 'net';
+
+/**
+ * Pub/sub adapters used by server.js to share rooms between processes.
+ *
+ * An adapter carries string messages on named channels:
+ *   - subscribe(channel, handler) -> Promise
+ *   - publish(channel, message) -> Promise
+ *   - close() -> Promise
+ */
+
+// Shared by every in-process adapter that isn't given its own hub
+const defaultHub = new Map(); // channel -> Set(handler)
+
+/**
+ * In-process adapter. Servers created in the same process with the same hub
+ * see each other; with a single server it simply loops back.
+ */
+export function createMemoryAdapter({ hub = defaultHub } = {}) {
+  const subscriptions = [];
+
+  return {
+    async subscribe(channel, handler) {
+      if (!hub.has(channel)) hub.set(channel, new Set());
+      hub.get(channel).add(handler);
+      subscriptions.push([channel, handler]);
+    },
+    async publish(channel, message) {
+      const handlers = hub.get(channel);
+      if (!handlers) return;
+      // Deliver asynchronously, like a network adapter would
+      for (const handler of handlers) queueMicrotask(() => handler(message));
+    },
+    async close() {
+      for (const [channel, handler] of subscriptions) hub.get(channel)?.delete(handler);
+      subscriptions.length = 0;
+    }
+  };
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+function parseLength(line) {
+  const length = Number(line);
+  if (!Number.isInteger(length) || length < -1) throw new Error(`Invalid RESP length: ${line}`);
+  return length;
+}
+
+/**
+ * Incremental RESP (REdis Serialization Protocol) reply parser.
+ * Calls onReply for every complete top-level reply; error replies arrive as Error objects.
+ * Throws on bytes that aren't RESP, after which the parser can't be reused.
+ */
+function createRespParser(onReply) {
+  let buffer = Buffer.alloc(0);
+
+  // Returns [value, nextOffset] or null when the reply is incomplete
+  function parseAt(offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const prefix = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf-8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (prefix) {
+      case '+':
+        return [line, next];
+      case '-':
+        return [new Error(line), next];
+      case ':':
+        return [Number(line), next];
+      case '$': {
+        const length = parseLength(line);
+        if (length === -1) return [null, next];
+        if (buffer.length < next + length + 2) return null;
+        return [buffer.toString('utf-8', next, next + length), next + length + 2];
+      }
+      case '*': {
+        const count = parseLength(line);
+        if (count === -1) return [null, next];
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+          const parsed = parseAt(cursor);
+          if (!parsed) return null;
+          items.push(parsed[0]);
+          cursor = parsed[1];
+        }
+        return [items, cursor];
+      }
+      default:
+        throw new Error(`Unexpected RESP prefix: ${prefix}`);
+    }
+  }
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let offset = 0;
+    while (offset < buffer.length) {
+      const parsed = parseAt(offset);
+      if (!parsed) break;
+      offset = parsed[1];
+      onReply(parsed[0]);
+    }
+    buffer = buffer.subarray(offset);
+  };
+}
+
+/**
+ * Redis-protocol pub/sub adapter (PUBLISH / SUBSCRIBE over plain TCP).
+ * Works with Redis, Valkey, KeyDB or anything else that speaks RESP pub/sub.
+ * Uses one connection for publishing and one for subscriptions, and
+ * reconnects (re-subscribing) if either drops or sends a reply it can't parse.
+ * Errors are reported through `logger.log()`.
+ */
+export function createRedisAdapter({ url = 'redis://127.0.0.1:6379', reconnectDelay = 1000, logger = console } = {}) {
+  const { hostname, port, password, username } = new URL(url);
+  const handlers = new Map(); // channel -> Set(handler)
+  let closed = false;
+
+  function openConnection(onReply, onConnect) {
+    // Writes are held until the socket is connected (and authenticated)
+    const conn = { socket: null, ready: false, buffered: [], pending: [] };
+    conn.write = (data) => {
+      if (conn.ready) conn.socket.write(data);
+      else conn.buffered.push(data);
+    };
+
+    const connect = () => {
+      const socket = net.createConnection({ host: hostname || '127.0.0.1', port: Number(port) || 6379 });
+      conn.socket = socket;
+      socket.setNoDelay(true);
+      // The first reply on an authenticated connection answers AUTH, ahead of anything buffered
+      let authenticating = false;
+      const parse = createRespParser((reply) => {
+        if (authenticating) {
+          authenticating = false;
+          if (reply instanceof Error) logger.log('[redis adapter] AUTH failed:', reply.message);
+          return;
+        }
+        onReply(reply, conn);
+      });
+      socket.on('data', (chunk) => {
+        try {
+          parse(chunk);
+        } catch (err) {
+          // The stream can't be resynchronised; start over on a new connection
+          logger.log('[redis adapter] bad reply, reconnecting:', err?.message || String(err));
+          socket.destroy();
+        }
+      });
+      socket.on('connect', () => {
+        if (password) {
+          const auth = username ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)] : ['AUTH', decodeURIComponent(password)];
+          authenticating = true;
+          socket.write(encodeCommand(auth));
+        }
+        conn.ready = true;
+        for (const data of conn.buffered.splice(0)) socket.write(data);
+        onConnect?.(conn);
+      });
+      socket.on('error', (err) => {
+        logger.log('[redis adapter]', err?.message || String(err));
+      });
+      socket.on('close', () => {
+        // Fail anything still waiting on this socket, then try again
+        conn.ready = false;
+        conn.buffered.length = 0;
+        for (const waiter of conn.pending.splice(0)) waiter.reject(new Error('Redis connection closed'));
+        if (!closed) setTimeout(connect, reconnectDelay);
+      });
+    };
+
+    connect();
+    return conn;
+  }
+
+  // Replies on the command connection answer requests in order
+  const publisher = openConnection((reply, conn) => {
+    const waiter = conn.pending.shift();
+    if (!waiter) return;
+    if (reply instanceof Error) waiter.reject(reply);
+    else waiter.resolve(reply);
+  });
+
+  // Replies on the subscriber connection are pushes: ['message', channel, payload]
+  const subscriber = openConnection((reply) => {
+    if (!Array.isArray(reply) || reply[0] !== 'message') return;
+    for (const handler of handlers.get(reply[1]) || []) {
+      try {
+        handler(reply[2]);
+      } catch (err) {
+        logger.log('[redis adapter] handler error:', err?.message || String(err));
+      }
+    }
+  }, (conn) => {
+    // Subscriptions made before this (re)connect
+    if (handlers.size > 0) conn.write(encodeCommand(['SUBSCRIBE', ...handlers.keys()]));
+  });
+
+  function command(args) {
+    return new Promise((resolve, reject) => {
+      publisher.pending.push({ resolve, reject });
+      publisher.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    async subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+        // Before the first connect, the connect handler subscribes to everything at once
+        if (subscriber.ready) subscriber.write(encodeCommand(['SUBSCRIBE', channel]));
+      }
+      handlers.get(channel).add(handler);
+    },
+    async publish(channel, message) {
+      await command(['PUBLISH', channel, message]);
+    },
+    async close() {
+      closed = true;
+      publisher.socket.end();
+      subscriber.socket.end();
+    }
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Minimal Prometheus metrics registry for server.js.
+ *
+ * Counters and histograms are updated as events happen; gauges are read from
+ * a callback when /metrics is scraped. render() returns the text exposition format.
+ */
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escaped = entries.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${escaped.join(',')}}`;
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(name, help, type, lines) {
+    metrics.push({ name, help, type, lines });
+  }
+
+  return {
+    counter(name, help) {
+      const values = new Map(); // formatted labels -> value
+      register(name, help, 'counter', () => Array.from(values, ([labels, value]) => `${name}${labels} ${value}`));
+      return {
+        inc(labels = {}, by = 1) {
+          const key = formatLabels(labels);
+          values.set(key, (values.get(key) || 0) + by);
+        }
+      };
+    },
+
+    // collect() returns a number, or an array of [labels, value] pairs
+    gauge(name, help, collect) {
+      register(name, help, 'gauge', () => {
+        const result = collect();
+        if (typeof result === 'number') return [`${name} ${result}`];
+        return result.map(([labels, value]) => `${name}${formatLabels(labels)} ${value}`);
+      });
+    },
+
+    histogram(name, help, buckets) {
+      const counts = new Array(buckets.length).fill(0);
+      let sum = 0;
+      let count = 0;
+      register(name, help, 'histogram', () => [
+        ...buckets.map((le, i) => `${name}_bucket{le="${le}"} ${counts[i]}`),
+        `${name}_bucket{le="+Inf"} ${count}`,
+        `${name}_sum ${sum}`,
+        `${name}_count ${count}`
+      ]);
+      return {
+        observe(value) {
+          for (let i = 0; i < buckets.length; i++) {
+            if (value <= buckets[i]) counts[i] += 1;
+          }
+          sum += value;
+          count += 1;
+        }
+      };
+    },
+
+    render() {
+      return metrics.map(({ name, help, type, lines }) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...lines()
+      ].join('\n')).join('\n') + '\n';
+    }
+  };
+}
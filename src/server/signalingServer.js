@@ -0,0 +1,1047 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { createHash, timingSafeEqual } from 'crypto';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+import { createMemoryStore } from './store.js';
+import { createMemoryAdapter } from './adapter.js';
+import { createMetricsRegistry } from './metrics.js';
+import { createRateLimiter, DEFAULT_RATE_LIMITS } from '../rateLimit.js';
+import { createRequestGuard } from '../requestGuard.js';
+import { createSignalingCore, createRoomState as createCoreRoomState, queueBytes, parsePollWait } from '../signalingCore.js';
+
+export { createMemoryStore, createFileStore } from './store.js';
+export { createMemoryAdapter, createRedisAdapter } from './adapter.js';
+export { signAccessToken } from '../auth.js';
+export { DEFAULT_RATE_LIMITS, parseRateLimits } from '../rateLimit.js';
+
+// demo.html and the client library live at the package root
+const PACKAGE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+// Only used to parse request paths and query strings
+const BASE_URL = 'http://localhost';
+
+// SSE comment interval; keeps proxies from closing idle /api/events streams
+const SSE_HEARTBEAT_MS = 15_000;
+// Events kept per client for Last-Event-ID resume
+const SSE_REPLAY_LIMIT = 100;
+// How a kicked client is told not to come back: WebSocket close code and reason
+const KICKED_CLOSE_CODE = 4403;
+const KICKED_MESSAGE = 'Removed by an administrator';
+// WebSocket ping interval; sockets that miss a pong are terminated
+const WS_PING_INTERVAL_MS = 30_000;
+
+const CLUSTER_CHANNEL = 'uniwrtc:cluster';
+const CLUSTER_HEARTBEAT_MS = 10_000;
+
+/**
+ * Create a UniWRTC signaling server (HTTP polling, SSE and WebSocket transports).
+ * Nothing listens until listen() is called; `handler` and `handleUpgrade` can be
+ * mounted on an existing http/Express server instead.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=8080] - Default port for listen()
+ * @param {string} [options.basePath=''] - Path prefix the API is served under (e.g. '/signal')
+ * @param {number} [options.ttlMs=60000] - Clients that stop polling for this long are dropped
+ * @param {object} [options.store] - Room state store (see ./store.js); in-memory by default
+ * @param {object} [options.adapter] - Pub/sub adapter shared by a cluster (see ./adapter.js); private to this server by default
+ * @param {string} [options.nodeId] - This server's id within a cluster
+ * @param {string|{secret: string}} [options.auth] - Require access tokens signed with this secret (see ../auth.js)
+ * @param {string|null} [options.staticDir] - Directory holding demo.html and the client library; null disables them
+ * @param {string} [options.adminToken] - Bearer token enabling the /admin API
+ * @param {object} [options.rateLimits] - Token-bucket limits per endpoint (see ../rateLimit.js)
+ * @param {number} [options.maxClientsPerRoom=1000]
+ * @param {number} [options.maxSessionsPerRoom=100]
+ * @param {number} [options.queueMaxMessages=256] - Per-client queue limits; a full queue rejects new messages
+ * @param {number} [options.queueMaxBytes=262144]
+ * @param {number} [options.messageTtlMs] - Queued messages older than this are discarded (defaults to ttlMs)
+ * @param {boolean} [options.trustProxy=false] - Rate-limit on X-Forwarded-For instead of the peer address
+ * @param {object} [options.logger=console] - Anything with a log() method
+ * @returns {{ server: http.Server, handler: Function, handleUpgrade: Function, listen: Function, close: Function, ready: Promise<void> }}
+ */
+export function createSignalingServer({
+  port = 8080,
+  basePath = '',
+  ttlMs = 60_000,
+  store = createMemoryStore(),
+  adapter = createMemoryAdapter({ hub: new Map() }),
+  nodeId = Math.random().toString(36).substring(2, 11),
+  auth = null,
+  staticDir = PACKAGE_DIR,
+  adminToken = null,
+  rateLimits = DEFAULT_RATE_LIMITS,
+  maxClientsPerRoom = 1000,
+  maxSessionsPerRoom = 100,
+  queueMaxMessages = 256,
+  queueMaxBytes = 256 * 1024,
+  messageTtlMs = ttlMs,
+  trustProxy = false,
+  logger = console
+} = {}) {
+  // When set, every API call and WebSocket must carry a signed access token
+  const authSecret = typeof auth === 'string' ? auth : auth?.secret || null;
+  const prefix = basePath.replace(/\/+$/, '');
+
+  // Top-level rooms are keyed by ?room=
+  // Each room contains multiple sessions keyed by sessionId.
+  const rooms = new Map();
+
+  // Room snapshots are persisted through the store
+  const dirtyRooms = new Set();
+  let saveTimer = null;
+
+  // Several servers share rooms over the pub/sub adapter. Every node keeps a
+  // replica of room membership; a client's queue lives only on the node that
+  // owns it (client.node), and messages for it are routed there.
+  const nodesLastHeard = new Map(); // nodeId -> timestamp of its last cluster event
+
+  // Token buckets per endpoint, keyed by IP and by clientId
+  const rateLimiter = createRateLimiter({ limits: rateLimits });
+  // Rate limits and token checks ahead of every API call and upgrade
+  const guard = createRequestGuard({ rateLimiter, authSecret });
+
+  // Prometheus metrics for /metrics. Client and queue gauges count only this node's
+  // own clients, so they can be summed across a cluster.
+  const metrics = createMetricsRegistry();
+  const messagesRouted = metrics.counter('uniwrtc_messages_routed_total', 'Signaling messages routed, by type');
+  const apiErrors = metrics.counter('uniwrtc_api_errors_total', 'API responses with an error status, by status code');
+  const prunedClients = metrics.counter('uniwrtc_pruned_clients_total', 'Clients evicted by the stale-client pruner, by reason');
+  const pollDuration = metrics.histogram('uniwrtc_poll_duration_seconds', 'Time to answer /api/poll, including long-poll waits', [0.005, 0.05, 0.25, 1, 5, 15, 30]);
+  metrics.gauge('uniwrtc_rooms', 'Rooms with at least one client', () => Array.from(rooms.values()).filter((state) => state.clients.size > 0).length);
+  metrics.gauge('uniwrtc_sessions', 'Sessions with at least one member', () => sumRooms((state) => state.sessions.size));
+  metrics.gauge('uniwrtc_clients', 'Clients connected to this node, by transport', () => {
+    const counts = { poll: 0, sse: 0, websocket: 0 };
+    for (const state of rooms.values()) {
+      for (const client of state.clients.values()) {
+        if (isLocalClient(client)) counts[clientTransport(state, client.clientId)] += 1;
+      }
+    }
+    return Object.entries(counts).map(([transport, value]) => [{ transport }, value]);
+  });
+  metrics.gauge('uniwrtc_queue_messages', 'Messages waiting in client queues', () => sumRooms((state) => Array.from(state.queues.values()).reduce((total, q) => total + q.length, 0)));
+  metrics.gauge('uniwrtc_queue_bytes', 'Bytes waiting in client queues', () => sumRooms((state) => Array.from(state.queues.values()).reduce((total, q) => total + queueBytes(q), 0)));
+  metrics.gauge('uniwrtc_queue_overflowing', 'Clients whose queue is full', () => sumRooms((state) => state.overflows.size));
+
+  // The signaling protocol, shared with the Cloudflare Room. This server adds the
+  // transports, persistence through the store and cluster routing around it.
+  const core = createSignalingCore({
+    clientTtlMs: ttlMs,
+    queueMaxMessages,
+    queueMaxBytes,
+    messageTtlMs,
+    maxClientsPerRoom,
+    maxSessionsPerRoom,
+    hooks: {
+      isLocal: isLocalClient,
+      // The target's queue lives on another node
+      route: (state, target, message) => {
+        publishToNode(target.node, { type: 'deliver', room: state.key, clientId: target.clientId, message });
+      },
+      queued: deliverQueued,
+      changed: scheduleSave,
+      updated: announceClient,
+      renamed: (state, oldId, newId) => {
+        // A WebSocket stays open across the rename
+        const ws = state.sockets.get(oldId);
+        if (ws) {
+          state.sockets.delete(oldId);
+          state.sockets.set(newId, ws);
+        }
+        // Release long-polls and streams held under the old id; the client reconnects with the new one
+        wakePollWaiters(state, oldId);
+        closeEventStream(state, oldId);
+      },
+      removed: (state, clientId, { replicated, kicked }) => {
+        if (!replicated) publishCluster({ type: 'remove', room: state.key, clientId, kicked });
+        const ws = state.sockets.get(clientId);
+        state.sockets.delete(clientId);
+        if (kicked) {
+          // Polls and streams under this id are refused for a while, so the client stops instead of reconnecting
+          state.kicked.set(clientId, Date.now());
+          state.streams.get(clientId)?.res.write(`data: ${JSON.stringify({ type: 'removed', message: KICKED_MESSAGE })}\n\n`);
+        }
+        wakePollWaiters(state, clientId);
+        closeEventStream(state, clientId);
+        // No-op when the socket closing is what removed the client. 4403 tells
+        // a kicked WebSocket client not to reconnect.
+        if (kicked) ws?.close(KICKED_CLOSE_CODE, KICKED_MESSAGE);
+        else ws?.close(1000, 'Client removed');
+      },
+      connected: (state, clientId) => state.waiters.has(clientId) || state.streams.has(clientId) || state.sockets.has(clientId),
+      signaled: (state, message) => messagesRouted.inc({ type: routedType(message.type) }),
+      pruned: () => prunedClients.inc({ reason: 'timeout' })
+    }
+  });
+
+  function sumRooms(count) {
+    let total = 0;
+    for (const state of rooms.values()) total += count(state);
+    return total;
+  }
+
+  // offer / answer / ice / custom, so arbitrary client types can't blow up label cardinality
+  function routedType(type) {
+    if (type === 'offer' || type === 'answer') return type;
+    if (type === 'ice-candidate' || type === 'candidate') return 'ice';
+    return 'custom';
+  }
+
+  function log(message, data = '') {
+    const timestamp = new Date().toISOString();
+    logger.log(`[${timestamp}] ${message}`, data);
+  }
+
+  function getClientIp(req) {
+    const forwarded = trustProxy && req.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',')[0].trim();
+    return req.socket.remoteAddress || 'unknown';
+  }
+
+  // Request path relative to basePath, or null when the request is outside it
+  function stripBasePath(reqUrl) {
+    if (!prefix) return reqUrl || '/';
+    if (reqUrl === prefix || reqUrl?.startsWith(`${prefix}/`) || reqUrl?.startsWith(`${prefix}?`)) {
+      const rest = reqUrl.slice(prefix.length);
+      return rest.startsWith('/') ? rest : `/${rest}`;
+    }
+    return null;
+  }
+
+  function getRoomKey(reqUrl) {
+    try {
+      const u = new URL(reqUrl, BASE_URL);
+      return u.searchParams.get('room') || 'default';
+    } catch {
+      return 'default';
+    }
+  }
+
+  // The protocol core's room plus this server's transports
+  function createRoomState(roomKey) {
+    return {
+      ...createCoreRoomState(roomKey),
+      waiters: new Map(), // clientId -> Set(wake) for pending long-polls
+      streams: new Map(), // clientId -> { res, heartbeat } for /api/events
+      sockets: new Map(), // clientId -> WebSocket
+      kicked: new Map() // clientId -> when an administrator removed it
+    };
+  }
+
+  function getRoomState(roomKey) {
+    if (!rooms.has(roomKey)) rooms.set(roomKey, createRoomState(roomKey));
+    return rooms.get(roomKey);
+  }
+
+  // Long-polls, streams, sockets and replicas of other nodes' clients aren't persisted
+  function restoreRoom(roomKey, snapshot) {
+    return core.restoreRoom(createRoomState(roomKey), snapshot, { node: nodeId });
+  }
+
+  function scheduleSave(state) {
+    dirtyRooms.add(state.key);
+    if (!saveTimer) saveTimer = setTimeout(saveDirtyRooms, 0);
+  }
+
+  function saveDirtyRooms() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const saves = [];
+    for (const roomKey of dirtyRooms) {
+      const state = rooms.get(roomKey);
+      if (!state) continue;
+      const snapshot = core.serializeRoom(state);
+      // SSE replay buffers only help a stream that is still open, so they aren't persisted
+      snapshot.clients = snapshot.clients.map(({ replay, ...client }) => client);
+      saves.push(snapshot.clients.length === 0 ? store.delete(roomKey) : store.save(roomKey, snapshot));
+    }
+    dirtyRooms.clear();
+    return Promise.all(saves).catch((err) => {
+      log('Store error:', err?.message || String(err));
+    });
+  }
+
+  function clientTransport(state, clientId) {
+    if (state.sockets.has(clientId)) return 'websocket';
+    if (state.streams.has(clientId)) return 'sse';
+    return 'poll';
+  }
+
+  function isLocalClient(client) {
+    return !client?.node || client.node === nodeId;
+  }
+
+  function publishCluster(event) {
+    adapter.publish(CLUSTER_CHANNEL, JSON.stringify({ ...event, from: nodeId })).catch((err) => {
+      log('Cluster publish failed:', err?.message || String(err));
+    });
+  }
+
+  function publishToNode(targetNodeId, event) {
+    adapter.publish(`uniwrtc:node:${targetNodeId}`, JSON.stringify({ ...event, from: nodeId })).catch((err) => {
+      log('Cluster publish failed:', err?.message || String(err));
+    });
+  }
+
+  // Tell the other nodes about a client's current session and owner
+  function announceClient(state, client) {
+    publishCluster({
+      type: 'client',
+      room: state.key,
+      client: { clientId: client.clientId, sessionId: client.sessionId, node: client.node }
+    });
+  }
+
+  // Hand newly queued messages to whatever is waiting for them
+  function deliverQueued(state, clientId) {
+    wakePollWaiters(state, clientId);
+    flushEventStream(state, clientId);
+    flushSocket(state, clientId);
+  }
+
+  function addPollWaiter(state, clientId, wake) {
+    if (!state.waiters.has(clientId)) state.waiters.set(clientId, new Set());
+    state.waiters.get(clientId).add(wake);
+  }
+
+  function removePollWaiter(state, clientId, wake) {
+    const waiters = state.waiters.get(clientId);
+    if (!waiters) return;
+    waiters.delete(wake);
+    if (waiters.size === 0) state.waiters.delete(clientId);
+  }
+
+  function wakePollWaiters(state, clientId) {
+    const waiters = state.waiters.get(clientId);
+    if (!waiters) return;
+    state.waiters.delete(clientId);
+    for (const wake of waiters) wake();
+  }
+
+  function formatEvent(message) {
+    return `id: ${message.seq}\ndata: ${JSON.stringify(message)}\n\n`;
+  }
+
+  function writeEvent(res, client, message) {
+    client.replay = [...(client.replay || []), message].slice(-SSE_REPLAY_LIMIT);
+    res.write(formatEvent(message));
+  }
+
+  // Drain the client's queue onto its open SSE stream, if it has one
+  function flushEventStream(state, clientId) {
+    const stream = state.streams.get(clientId);
+    const client = state.clients.get(clientId);
+    if (!stream || !client) return;
+    for (const message of core.drainQueue(state, clientId)) writeEvent(stream.res, client, message);
+  }
+
+  function closeEventStream(state, clientId) {
+    const stream = state.streams.get(clientId);
+    if (!stream) return;
+    state.streams.delete(clientId);
+    clearInterval(stream.heartbeat);
+    stream.res.end();
+  }
+
+  // Drain the client's queue onto its WebSocket, if it is connected over one
+  function flushSocket(state, clientId) {
+    const ws = state.sockets.get(clientId);
+    if (!ws || ws.readyState !== ws.OPEN) return;
+    for (const message of core.drainQueue(state, clientId)) ws.send(JSON.stringify(message));
+  }
+
+  // Remote clients are pruned by their own node, unless that node has gone quiet
+  function pruneStaleClients(state) {
+    const now = Date.now();
+    for (const [clientId, at] of state.kicked.entries()) {
+      if (now - at > ttlMs) state.kicked.delete(clientId);
+    }
+    for (const [clientId, client] of state.clients.entries()) {
+      if (!isLocalClient(client) && now - (nodesLastHeard.get(client.node) || 0) > ttlMs) {
+        prunedClients.inc({ reason: 'node-lost' });
+        dropRemoteClient(state, clientId);
+      }
+    }
+    core.pruneStaleClients(state);
+  }
+
+  // Operations shared by the HTTP API and the WebSocket transport; the protocol
+  // itself lives in ../signalingCore.js
+  function setClientId(state, body) {
+    const result = core.setId(state, body);
+    if (result.status === 200) publishCluster({ type: 'rename', room: state.key, oldId: body.clientId, newId: result.body.clientId });
+    return result;
+  }
+
+  // Cluster replication. Changes made on one node are replayed on the others
+  // without side effects: the originating node already routed the notifications.
+
+  // A poll or stream reached this node for a client owned elsewhere (e.g. a
+  // round-robin load balancer): take ownership; the old owner hands over its queue.
+  function claimClient(state, client) {
+    if (isLocalClient(client)) return;
+    client.node = nodeId;
+    publishCluster({ type: 'claim', room: state.key, clientId: client.clientId, node: nodeId });
+  }
+
+  // The owner of a client's queue has gone quiet: forget the client and tell
+  // this node's members of its session (every node does the same for its own).
+  function dropRemoteClient(state, clientId) {
+    const client = state.clients.get(clientId);
+    core.removeClient(state, clientId, { replicated: true });
+    const members = client?.sessionId ? state.sessions.get(client.sessionId) : null;
+    for (const memberId of members || []) {
+      if (!isLocalClient(state.clients.get(memberId))) continue;
+      core.queueMessage(state, memberId, { type: 'peer-left', sessionId: client.sessionId, peerId: clientId });
+    }
+  }
+
+  // Queue handed over by the client's previous owner. Its messages are older than
+  // anything queued here since the claim, so they go first; everything is
+  // re-stamped so seq keeps increasing for ack purposes.
+  function adoptQueue(state, clientId, entries, seq) {
+    const client = state.clients.get(clientId);
+    if (!client || !isLocalClient(client)) return;
+    let next = Math.max(client.seq || 0, seq || 0);
+    const merged = [...entries, ...(state.queues.get(clientId) || [])].map((entry) => {
+      next += 1;
+      return { ...entry, message: { ...entry.message, seq: next } };
+    });
+    client.seq = next;
+    state.queues.set(clientId, merged);
+    scheduleSave(state);
+    deliverQueued(state, clientId);
+  }
+
+  function handleClusterEvent(raw) {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (!event || event.from === nodeId) return;
+    nodesLastHeard.set(event.from, Date.now());
+
+    if (event.type === 'hello') {
+      // A node joined: share everything this node owns so it can build its replica
+      for (const state of rooms.values()) {
+        for (const client of state.clients.values()) {
+          if (isLocalClient(client)) announceClient(state, client);
+        }
+      }
+      return;
+    }
+    if (!event.room) return;
+
+    const state = getRoomState(event.room);
+    switch (event.type) {
+      case 'client':
+        core.applyClientUpdate(state, event.client);
+        break;
+      case 'rename':
+        core.renameClient(state, event.oldId, event.newId);
+        break;
+      case 'remove':
+        core.removeClient(state, event.clientId, { replicated: true, kicked: Boolean(event.kicked) });
+        break;
+      case 'claim': {
+        const client = state.clients.get(event.clientId);
+        if (!client) break;
+        const wasLocal = isLocalClient(client);
+        client.node = event.node;
+        if (!wasLocal) break;
+        // Hand the queue to the new owner and release anything still waiting here
+        publishToNode(event.node, {
+          type: 'handoff',
+          room: state.key,
+          clientId: event.clientId,
+          entries: state.queues.get(event.clientId) || [],
+          seq: client.seq || 0
+        });
+        state.queues.delete(event.clientId);
+        state.overflows.delete(event.clientId);
+        wakePollWaiters(state, event.clientId);
+        closeEventStream(state, event.clientId);
+        scheduleSave(state);
+        break;
+      }
+      case 'deliver': {
+        // Routed here because this node owns the target; if it has moved on, pass it along
+        // (bounded, so two nodes that briefly disagree about the owner can't bounce it forever)
+        const target = state.clients.get(event.clientId);
+        if (!target) break;
+        if (isLocalClient(target)) {
+          core.queueMessage(state, event.clientId, event.message);
+        } else if ((event.hops || 0) < 2) {
+          publishToNode(target.node, { ...event, hops: (event.hops || 0) + 1 });
+        }
+        break;
+      }
+      case 'handoff':
+        adoptQueue(state, event.clientId, event.entries || [], event.seq);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function readJson(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > 1_000_000) {
+          reject(new Error('Payload too large'));
+        }
+      });
+      req.on('end', () => {
+        if (!body) return resolve({});
+        try {
+          resolve(JSON.parse(body));
+        } catch {
+          reject(new Error('Invalid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  function writeJson(res, status, data, headers = {}) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...headers
+    });
+    res.end(JSON.stringify(data));
+  }
+
+  // Answer a request the guard turned away
+  function writeRejected(res, { status, message, retryAfter }) {
+    writeJson(res, status, { message }, retryAfter ? { 'Retry-After': String(retryAfter) } : {});
+  }
+
+  function writeText(res, status, text, contentType = 'text/plain') {
+    res.writeHead(status, {
+      'Content-Type': contentType,
+      'Cache-Control': 'no-store'
+    });
+    res.end(text);
+  }
+
+  // Admin API: inspect rooms and remove clients, sessions or whole rooms.
+  // Clients removed here get the usual peer-left treatment.
+
+  function isAdminRequest(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+    // Compare digests so the check takes the same time whatever the token's length
+    const digest = (value) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(match[1].trim()), digest(adminToken));
+  }
+
+  function describeClient(state, client, now) {
+    const q = state.queues.get(client.clientId) || [];
+    return {
+      clientId: client.clientId,
+      sessionId: client.sessionId,
+      node: client.node || nodeId,
+      transport: isLocalClient(client) ? clientTransport(state, client.clientId) : null,
+      lastSeen: new Date(client.lastSeen).toISOString(),
+      idleMs: now - client.lastSeen,
+      queue: {
+        messages: q.length,
+        bytes: queueBytes(q),
+        overflowed: state.overflows.get(client.clientId) || 0
+      }
+    };
+  }
+
+  function describeRoom(state) {
+    const now = Date.now();
+    return {
+      room: state.key,
+      clients: Array.from(state.clients.values()).map((client) => describeClient(state, client, now)),
+      sessions: Array.from(state.sessions.entries()).map(([sessionId, members]) => ({ sessionId, members: Array.from(members) })),
+      dropped: state.dropped
+    };
+  }
+
+  function kickClient(state, clientId) {
+    core.removeClient(state, clientId, { kicked: true });
+  }
+
+  // 410 for a poll or stream by a client an administrator removed
+  function writeKicked(res, state, clientId) {
+    if (!clientId || state.clients.has(clientId) || !state.kicked.has(clientId)) return false;
+    writeJson(res, 410, { type: 'removed', message: KICKED_MESSAGE });
+    return true;
+  }
+
+  async function handleAdmin(req, res, u) {
+    if (!adminToken) return writeJson(res, 404, { message: 'Admin API is disabled' });
+    if (!isAdminRequest(req)) return writeJson(res, 401, { message: 'Admin token required' });
+
+    // /admin/rooms[/:room[/(clients|sessions)/:id]]
+    let segments;
+    try {
+      segments = u.pathname.split('/').slice(2).map(decodeURIComponent);
+    } catch {
+      return writeJson(res, 400, { message: 'Malformed path' });
+    }
+    const [collection, roomKey, kind, id] = segments;
+    if (collection !== 'rooms') return writeJson(res, 404, { message: 'Not found' });
+
+    if (!roomKey) {
+      if (req.method !== 'GET') return writeJson(res, 405, { message: 'Method not allowed' });
+      for (const state of rooms.values()) pruneStaleClients(state);
+      const summary = Array.from(rooms.values())
+        .filter((state) => state.clients.size > 0)
+        .map((state) => ({
+          room: state.key,
+          clients: state.clients.size,
+          sessions: state.sessions.size,
+          queuedMessages: Array.from(state.queues.values()).reduce((total, q) => total + q.length, 0)
+        }));
+      return writeJson(res, 200, { rooms: summary });
+    }
+
+    const state = rooms.get(roomKey);
+    if (!state) return writeJson(res, 404, { message: 'Unknown room' });
+    pruneStaleClients(state);
+
+    if (!kind) {
+      if (req.method === 'GET') return writeJson(res, 200, describeRoom(state));
+      if (req.method === 'DELETE') {
+        const removed = Array.from(state.clients.keys());
+        for (const clientId of removed) kickClient(state, clientId);
+        rooms.delete(roomKey);
+        dirtyRooms.delete(roomKey);
+        log(`Admin purged room ${roomKey}`, removed.length);
+        try {
+          await store.delete(roomKey);
+        } catch (err) {
+          log('Store error:', err?.message || String(err));
+          return writeJson(res, 500, { message: 'Room purged, but its stored state could not be deleted', removed });
+        }
+        return writeJson(res, 200, { ok: true, removed });
+      }
+      return writeJson(res, 405, { message: 'Method not allowed' });
+    }
+
+    if (kind === 'clients' && id) {
+      const client = state.clients.get(id);
+      if (!client) return writeJson(res, 404, { message: 'Unknown clientId' });
+      if (req.method === 'GET') return writeJson(res, 200, describeClient(state, client, Date.now()));
+      if (req.method === 'DELETE') {
+        kickClient(state, id);
+        log(`Admin kicked ${id} from room ${roomKey}`);
+        return writeJson(res, 200, { ok: true, removed: [id] });
+      }
+      return writeJson(res, 405, { message: 'Method not allowed' });
+    }
+
+    if (kind === 'sessions' && id) {
+      const members = state.sessions.get(id);
+      if (!members) return writeJson(res, 404, { message: 'Unknown session' });
+      if (req.method === 'GET') {
+        const now = Date.now();
+        const clients = Array.from(members).map((clientId) => describeClient(state, state.clients.get(clientId), now));
+        return writeJson(res, 200, { sessionId: id, clients });
+      }
+      if (req.method === 'DELETE') {
+        const result = core.closeSession(state, { sessionId: id });
+        log(`Admin closed session ${id} in room ${roomKey}`, result.body.removed.length);
+        return writeJson(res, result.status, result.body);
+      }
+      return writeJson(res, 405, { message: 'Method not allowed' });
+    }
+
+    return writeJson(res, 404, { message: 'Not found' });
+  }
+
+  // Request handler; mountable on an existing server. With Express, unmatched
+  // requests go on to `next` instead of getting the banner.
+  async function handler(req, res, next) {
+    // Express has already stripped its mount path from req.url
+    const url = req.originalUrl && req.originalUrl !== req.url ? req.url : stripBasePath(req.url);
+    if (url === null) return next ? next() : writeJson(res, 404, { message: 'Not found' });
+    await ready;
+
+    const roomKey = getRoomKey(url);
+    const state = getRoomState(roomKey);
+    pruneStaleClients(state);
+
+    // Prometheus metrics, across all rooms
+    if (req.method === 'GET' && url.startsWith('/metrics')) {
+      for (const roomState of rooms.values()) pruneStaleClients(roomState);
+      return writeText(res, 200, metrics.render(), 'text/plain; version=0.0.4');
+    }
+
+    // Health endpoint
+    if (url.startsWith('/health')) {
+      const queued = Array.from(state.queues.values());
+      const overflowing = Array.from(state.overflows.keys());
+      return writeJson(res, 200, {
+        status: overflowing.length > 0 ? 'degraded' : 'ok',
+        clients: state.clients.size,
+        queues: {
+          messages: queued.reduce((total, q) => total + q.length, 0),
+          bytes: queued.reduce((total, q) => total + queueBytes(q), 0),
+          overflowing,
+          dropped: state.dropped
+        }
+      });
+    }
+
+    // Basic static files for demo.html usage (optional)
+    if (staticDir && req.method === 'GET' && (url === '/' || url.startsWith('/demo.html'))) {
+      const filePath = path.join(staticDir, 'demo.html');
+      return fs.readFile(filePath, 'utf-8', (err, data) => {
+        if (err) return writeText(res, 404, 'Demo not found');
+        return writeText(res, 200, data, 'text/html');
+      });
+    }
+
+    // client-browser.js re-exports client.js, so both are served
+    const clientFile = ['client.js', 'client-browser.js'].find((name) => url === `/${name}` || url.startsWith(`/${name}?`));
+    if (staticDir && req.method === 'GET' && clientFile) {
+      const filePath = path.join(staticDir, clientFile);
+      return fs.readFile(filePath, 'utf-8', (err, data) => {
+        if (err) return writeText(res, 404, 'Client not found');
+        res.writeHead(200, {
+          'Content-Type': 'application/javascript',
+          'Cache-Control': 'no-cache, no-store, must-revalidate',
+          'Pragma': 'no-cache',
+          'Expires': '0'
+        });
+        res.end(data);
+      });
+    }
+
+    if (url === '/admin' || url.startsWith('/admin/')) {
+      return handleAdmin(req, res, new URL(url, BASE_URL));
+    }
+
+    // API routes (HTTP polling signaling)
+    if (url.startsWith('/api/')) {
+      // Persist whatever a POST changed once it has been answered; polls save as they drain
+      if (req.method === 'POST') res.on('finish', () => scheduleSave(state));
+      res.on('finish', () => {
+        if (res.statusCode >= 400) apiErrors.inc({ status: res.statusCode });
+      });
+      try {
+        const u = new URL(url, BASE_URL);
+        const pathname = u.pathname;
+        const endpoint = pathname.slice('/api/'.length);
+
+        const checked = await guard.checkRequest({
+          endpoint,
+          room: roomKey,
+          ip: getClientIp(req),
+          authorization: req.headers.authorization,
+          searchParams: u.searchParams,
+          readBody: () => (req.method === 'POST' ? readJson(req) : {})
+        });
+        if (checked.rejected) return writeRejected(res, checked.rejected);
+        const { claims, body } = checked;
+
+        if (pathname === '/api/connect' && req.method === 'POST') {
+          const result = core.connect(state, { clientId: claims?.sub, node: nodeId });
+          return writeJson(res, result.status, result.body);
+        }
+
+        if (pathname === '/api/set-id' && req.method === 'POST') {
+          const result = setClientId(state, body);
+          return writeJson(res, result.status, result.body);
+        }
+
+        if (pathname === '/api/join' && req.method === 'POST') {
+          const result = core.join(state, body);
+          return writeJson(res, result.status, result.body);
+        }
+
+        if (pathname === '/api/leave' && req.method === 'POST') {
+          const result = core.leave(state, body);
+          return writeJson(res, result.status, result.body);
+        }
+
+        if (pathname === '/api/leave-session' && req.method === 'POST') {
+          const result = core.leaveSession(state, body);
+          return writeJson(res, result.status, result.body);
+        }
+
+        if (pathname === '/api/signal' && req.method === 'POST') {
+          const result = core.signal(state, body);
+          return writeJson(res, result.status, result.body);
+        }
+
+        if (pathname === '/api/poll' && req.method === 'GET') {
+          const startedAt = Date.now();
+          res.on('finish', () => pollDuration.observe((Date.now() - startedAt) / 1000));
+          const clientId = u.searchParams.get('clientId');
+          if (writeKicked(res, state, clientId)) return;
+          const client = clientId && state.clients.get(clientId);
+          if (client) claimClient(state, client);
+
+          // With ?ack= the queue is only trimmed up to the acknowledged seq (at-least-once);
+          // without it, messages are removed as soon as they are returned.
+          const ack = u.searchParams.has('ack') ? Number.parseInt(u.searchParams.get('ack'), 10) || 0 : null;
+          const wait = parsePollWait(u.searchParams.get('wait'));
+          const result = core.poll(state, { clientId, ack });
+          if (result.status !== 200 || result.body.messages.length > 0 || wait === 0) {
+            return writeJson(res, result.status, result.body);
+          }
+
+          // Long-poll: hold the request until a message is queued or the wait expires
+          let timer = null;
+          const finish = () => {
+            clearTimeout(timer);
+            removePollWaiter(state, clientId, finish);
+            res.off('close', onClose);
+            const current = state.clients.get(clientId);
+            if (current) current.lastSeen = Date.now();
+            writeJson(res, 200, { messages: current ? core.takeMessages(state, clientId, ack) : [] });
+          };
+          const onClose = () => {
+            // Client went away before anything arrived; leave the queue for its next poll
+            clearTimeout(timer);
+            removePollWaiter(state, clientId, finish);
+          };
+          timer = setTimeout(finish, wait);
+          res.on('close', onClose);
+          addPollWaiter(state, clientId, finish);
+          return;
+        }
+
+        if (pathname === '/api/events' && req.method === 'GET') {
+          const clientId = u.searchParams.get('clientId');
+          if (!clientId) return writeJson(res, 400, { message: 'clientId is required' });
+          if (writeKicked(res, state, clientId)) return;
+          if (!state.clients.has(clientId)) return writeJson(res, 404, { message: 'Unknown clientId' });
+          const client = state.clients.get(clientId);
+          client.lastSeen = Date.now();
+          claimClient(state, client);
+
+          // Only one stream per client; a reconnecting EventSource replaces the old one
+          closeEventStream(state, clientId);
+
+          res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+          });
+          res.write('retry: 3000\n\n');
+
+          // Resume: replay anything after the last event id the client saw
+          const lastEventId = Number.parseInt(req.headers['last-event-id'] || u.searchParams.get('lastEventId'), 10);
+          if (Number.isFinite(lastEventId)) {
+            for (const message of client.replay || []) {
+              if (message.seq > lastEventId) res.write(formatEvent(message));
+            }
+          }
+
+          const heartbeat = setInterval(() => {
+            const current = state.clients.get(clientId);
+            if (current) current.lastSeen = Date.now();
+            res.write(': ping\n\n');
+          }, SSE_HEARTBEAT_MS);
+          const stream = { res, heartbeat };
+          state.streams.set(clientId, stream);
+          res.on('close', () => {
+            clearInterval(heartbeat);
+            if (state.streams.get(clientId) === stream) state.streams.delete(clientId);
+            const current = state.clients.get(clientId);
+            if (current) current.lastSeen = Date.now();
+          });
+
+          flushEventStream(state, clientId);
+          return;
+        }
+
+        return writeJson(res, 404, { message: 'Not found' });
+      } catch (err) {
+        log('API error:', err?.message || String(err));
+        return writeJson(res, 500, { message: err?.message || 'Internal error' });
+      }
+    }
+
+    if (next) return next();
+    return writeText(res, 200, 'UniWRTC Signaling Server');
+  }
+
+  // WebSocket transport (client.js / client-browser.js).
+  // Speaks the same room/session model as the HTTP API; messages are JSON frames.
+  const wss = new WebSocketServer({ noServer: true });
+
+  function rejectUpgrade(socket, status, message, headers = {}) {
+    const extra = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: text/plain\r\n${extra}Connection: close\r\n\r\n${message}`);
+  }
+
+  // Upgrade handler; mountable on an existing server's 'upgrade' event. Returns
+  // false, leaving the socket alone, for upgrades outside basePath.
+  function handleUpgrade(req, socket, head) {
+    const url = stripBasePath(req.url);
+    if (url === null) return false;
+    acceptUpgrade(req, socket, head, url);
+    return true;
+  }
+
+  async function acceptUpgrade(req, socket, head, url) {
+    // Nothing awaits this handler, so every failure has to be answered here
+    try {
+      await ready;
+      const { claims, rejected } = await guard.checkUpgrade({
+        room: getRoomKey(url),
+        ip: getClientIp(req),
+        authorization: req.headers.authorization,
+        searchParams: new URL(url, BASE_URL).searchParams
+      });
+      if (rejected) {
+        return rejectUpgrade(socket, rejected.status, rejected.message, rejected.retryAfter ? { 'Retry-After': String(rejected.retryAfter) } : {});
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, getRoomKey(url), claims);
+      });
+    } catch (err) {
+      log('Rejected WebSocket upgrade:', err?.message || String(err));
+      rejectUpgrade(socket, 400, 'Bad request');
+    }
+  }
+
+  wss.on('connection', (ws, roomKey, claims) => {
+    const state = getRoomState(roomKey);
+    pruneStaleClients(state);
+
+    const sendFrame = (message) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    const welcome = core.connect(state, { clientId: claims?.sub, node: nodeId });
+    if (welcome.status !== 200) {
+      sendFrame({ type: 'error', message: welcome.body.message });
+      // 4000 + the HTTP status: 4409 for a taken peer ID, 4429 for a full room
+      return ws.close(4000 + welcome.status, welcome.body.message);
+    }
+    let clientId = welcome.body.clientId;
+    state.sockets.set(clientId, ws);
+    ws.isAlive = true;
+    sendFrame(welcome.body);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (data) => {
+      const handled = core.handleFrame(state, clientId, data.toString(), {
+        claims,
+        limit: (endpoint) => rateLimiter.take(endpoint, [`client:${clientId}`]),
+        setId: setClientId
+      });
+      clientId = handled.clientId;
+      scheduleSave(state);
+      if (handled.reply) sendFrame(handled.reply);
+    });
+
+    ws.on('close', () => {
+      if (state.sockets.get(clientId) === ws) core.removeClient(state, clientId);
+    });
+
+    ws.on('error', (err) => {
+      log('WebSocket error:', err?.message || String(err));
+    });
+  });
+
+  let wsPing = null;
+  let clusterHeartbeat = null;
+
+  async function start() {
+    for (const [roomKey, snapshot] of await store.load()) {
+      rooms.set(roomKey, restoreRoom(roomKey, snapshot));
+    }
+
+    await adapter.subscribe(CLUSTER_CHANNEL, handleClusterEvent);
+    await adapter.subscribe(`uniwrtc:node:${nodeId}`, handleClusterEvent);
+    // Announce restored clients and ask the other nodes for theirs
+    for (const state of rooms.values()) {
+      for (const client of state.clients.values()) announceClient(state, client);
+    }
+    publishCluster({ type: 'hello' });
+
+    // Timers don't hold the process open; a listening server (or the host app) does
+    wsPing = setInterval(() => {
+      for (const ws of wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, WS_PING_INTERVAL_MS);
+    wsPing.unref();
+    clusterHeartbeat = setInterval(() => publishCluster({ type: 'heartbeat' }), CLUSTER_HEARTBEAT_MS);
+    clusterHeartbeat.unref();
+  }
+
+  // Requests and upgrades wait for this, so they never see a half-restored room
+  const ready = start();
+
+  const server = http.createServer(handler);
+  server.on('upgrade', (req, socket, head) => {
+    if (!handleUpgrade(req, socket, head)) rejectUpgrade(socket, 404, 'Not found');
+  });
+
+  return {
+    server,
+    handler,
+    handleUpgrade,
+    ready,
+
+    /**
+     * Start listening. Resolves with the http.Server once it is bound.
+     * @param {number} [listenPort] - Defaults to the `port` option
+     * @param {string} [host]
+     */
+    async listen(listenPort = port, host) {
+      await ready;
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(listenPort, host, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      });
+      log(`UniWRTC Signaling Server listening on port ${server.address().port}`);
+      return server;
+    },
+
+    /**
+     * Disconnect every client, stop listening and flush state to the store.
+     * Rooms stay in the store, so a new server with the same store picks them up.
+     */
+    async close() {
+      await ready.catch(() => {});
+      clearInterval(wsPing);
+      clearInterval(clusterHeartbeat);
+      for (const ws of wss.clients) ws.close(1001, 'Server shutting down');
+      // Release long-polls and SSE streams so open requests don't hold the server up
+      for (const state of rooms.values()) {
+        for (const clientId of Array.from(state.waiters.keys())) wakePollWaiters(state, clientId);
+        for (const clientId of Array.from(state.streams.keys())) closeEventStream(state, clientId);
+      }
+      if (server.listening) {
+        await new Promise((resolve) => {
+          server.close(() => resolve());
+          server.closeIdleConnections?.();
+        });
+      }
+      await saveDirtyRooms();
+      await store.close();
+      await adapter.close();
+      log('Server closed');
+    }
+  };
+}
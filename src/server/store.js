@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Room state stores for server.js
+ *
+ * A store persists one JSON snapshot per room. Any object with the same
+ * (optionally async) methods can be passed in, e.g. a wrapper around an
+ * external key/value service:
+ *   - load() -> Array<[roomKey, snapshot]>
+ *   - save(roomKey, snapshot)
+ *   - delete(roomKey)
+ *   - close()
+ */
+
+/**
+ * In-memory store. State survives for the life of the process only.
+ */
+export function createMemoryStore() {
+  const snapshots = new Map();
+
+  return {
+    async load() {
+      return Array.from(snapshots.entries()).map(([roomKey, json]) => [roomKey, JSON.parse(json)]);
+    },
+    async save(roomKey, snapshot) {
+      snapshots.set(roomKey, JSON.stringify(snapshot));
+    },
+    async delete(roomKey) {
+      snapshots.delete(roomKey);
+    },
+    async close() {}
+  };
+}
+
+/**
+ * Durable local store backed by an append-only JSON lines file.
+ * Each save appends the room's latest snapshot; the file is compacted to one
+ * line per room on load and whenever `compactAfter` records or
+ * `compactAfterBytes` bytes have been appended since the last compaction.
+ * Write failures are reported through `logger.log()`.
+ */
+export function createFileStore({ filePath, compactAfter = 1000, compactAfterBytes = 4 * 1024 * 1024, logger = console } = {}) {
+  if (!filePath) throw new Error('filePath is required');
+
+  const latest = new Map(); // roomKey -> snapshot
+  let appended = 0;
+  let appendedBytes = 0;
+  // Writes are chained so records land in the file in call order
+  let pending = Promise.resolve();
+
+  function enqueue(task) {
+    pending = pending.then(task).catch((err) => {
+      logger.log('[store] write failed:', err?.message || String(err));
+    });
+    return pending;
+  }
+
+  async function compact() {
+    const lines = Array.from(latest.entries())
+      .map(([room, state]) => JSON.stringify({ room, state }) + '\n')
+      .join('');
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, lines);
+    await fs.promises.rename(tmpPath, filePath);
+    appended = 0;
+    appendedBytes = 0;
+  }
+
+  async function append(record) {
+    const line = JSON.stringify(record) + '\n';
+    await fs.promises.appendFile(filePath, line);
+    appended += 1;
+    appendedBytes += Buffer.byteLength(line);
+    if (appended >= compactAfter || appendedBytes >= compactAfterBytes) await compact();
+  }
+
+  return {
+    async load() {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      let contents = '';
+      try {
+        contents = await fs.promises.readFile(filePath, 'utf-8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+
+      for (const line of contents.split('\n')) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          // A torn final line from a crash mid-append; everything before it is intact
+          continue;
+        }
+        if (record.deleted) latest.delete(record.room);
+        else latest.set(record.room, record.state);
+      }
+
+      await enqueue(compact);
+      return Array.from(latest.entries());
+    },
+    save(roomKey, snapshot) {
+      latest.set(roomKey, snapshot);
+      return enqueue(() => append({ room: roomKey, state: snapshot }));
+    },
+    delete(roomKey) {
+      if (!latest.has(roomKey)) return pending;
+      latest.delete(roomKey);
+      return enqueue(() => append({ room: roomKey, deleted: true }));
+    },
+    close() {
+      return pending;
+    }
+  };
+}
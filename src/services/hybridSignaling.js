@@ -17,6 +17,12 @@ const ACTIVE_GUN_RELAYS = [
   'https://relay.peer.ooo/gun'
 ];
 
+// ICE servers for tracker (simple-peer) connections
+const TRACKER_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:global.stun.twilio.com:3478' }
+];
+
 // Ensure Buffer exists in browser
 if (!globalThis.Buffer) {
   globalThis.Buffer = Buffer;
@@ -38,6 +44,10 @@ export class HybridSignaling {
     this.peerId = config.peerId;
     this.onPeerDiscovered = config.onPeerDiscovered || (() => {});
     this.onSignal = config.onSignal || (() => {});
+    this.gunRelays = config.gunRelays || ACTIVE_GUN_RELAYS;
+    this.iceServers = config.iceServers || TRACKER_ICE_SERVERS;
+    // (message, level) with level 'info' | 'warning' | 'error', like UniWRTCMesh.log()
+    this.log = config.log || (() => {});
     
     // WebSocket tracker client
     this.trackerClient = null;
@@ -56,7 +66,7 @@ export class HybridSignaling {
    */
   initTracker(trackers = ['wss://tracker.openwebtorrent.com']) {
     if (!this.roomId) {
-      console.warn('[Tracker] No room ID specified');
+      this.log('[Tracker] No room ID specified', 'warning');
       return;
     }
     try {
@@ -70,10 +80,7 @@ export class HybridSignaling {
         peerId,
         announce: trackers,
         rtcConfig: {
-          iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:global.stun.twilio.com:3478' }
-          ]
+          iceServers: this.iceServers
         }
       });
 
@@ -84,22 +91,22 @@ export class HybridSignaling {
         if (discoveredHex === peerIdHex) return;
         if (this.discoveredPeers.has(discoveredHex)) return;
         this.discoveredPeers.add(discoveredHex);
-        console.log('[Tracker] Discovered peer:', discoveredHex.substring(0, 8));
+        this.log(`[Tracker] Discovered peer: ${discoveredHex.substring(0, 8)}`, 'info');
         this.onPeerDiscovered({ source: 'tracker', peerId: discoveredHex, peer });
       });
 
       this.trackerClient.on('warning', (err) => {
-        console.warn('[Tracker] Warning:', err?.message || err);
+        this.log(`[Tracker] Warning: ${err?.message || err}`, 'warning');
       });
 
       this.trackerClient.on('error', (err) => {
-        console.error('[Tracker] Error:', err?.message || err);
+        this.log(`[Tracker] Error: ${err?.message || err}`, 'error');
       });
 
       this.trackerClient.start();
-      console.log('[Tracker] Started peer discovery for room:', this.roomId);
+      this.log(`[Tracker] Started peer discovery for room: ${this.roomId}`, 'info');
     } catch (err) {
-      console.error('[Tracker] Failed to start tracker client:', err);
+      this.log(`[Tracker] Failed to start tracker client: ${err?.message || err}`, 'error');
     }
   }
 
@@ -108,15 +115,14 @@ export class HybridSignaling {
    */
   async initGun() {
     if (!this.roomId) {
-      console.warn('[Gun] No room ID specified');
+      this.log('[Gun] No room ID specified', 'warning');
       return;
     }
 
     try {
-      // Use curated list of active Gun relays
-      console.log('[Gun] Using active relay list:', ACTIVE_GUN_RELAYS.length, 'relays');
+      this.log(`[Gun] Using relay list: ${this.gunRelays.length} relays`, 'info');
       
-      this.gun = Gun(ACTIVE_GUN_RELAYS);
+      this.gun = Gun(this.gunRelays);
       const room = this.gun.get(`uniwrtc-${this.roomId}`);
       
       // Listen for signals in this room
@@ -127,7 +133,7 @@ export class HybridSignaling {
           const data = typeof signal === 'string' ? JSON.parse(signal) : signal;
           
           if (data.to === this.peerId || !data.to) {
-            console.log('[Gun] Received signal from:', peerId.substring(0, 8));
+            this.log(`[Gun] Received signal from: ${peerId.substring(0, 8)}`, 'info');
             this.onSignal({
               source: 'gun',
               from: peerId,
@@ -135,7 +141,7 @@ export class HybridSignaling {
             });
           }
         } catch (err) {
-          console.error('[Gun] Parse error:', err);
+          this.log(`[Gun] Parse error: ${err?.message || err}`, 'error');
         }
       });
 
@@ -170,13 +176,13 @@ export class HybridSignaling {
         const MAX_PEER_AGE = 2 * 60 * 1000; // 2 minutes
         
         if (peerAge > MAX_PEER_AGE) {
-          console.log('[Gun] Ignoring stale peer:', peerId.substring(0, 8), `(${Math.floor(peerAge / 1000)}s old)`);
+          this.log(`[Gun] Ignoring stale peer: ${peerId.substring(0, 8)} (${Math.floor(peerAge / 1000)}s old)`, 'info');
           room.get('peers').get(peerId).put(null);
           return;
         }
         
         if (!this.gunPeers.has(peerId)) {
-          console.log('[Gun] Discovered peer:', peerId.substring(0, 8));
+          this.log(`[Gun] Discovered peer: ${peerId.substring(0, 8)}`, 'info');
           this.gunPeers.set(peerId, peerData);
           this.onPeerDiscovered({
             source: 'gun',
@@ -191,9 +197,9 @@ export class HybridSignaling {
         updatePresence();
       }, 30000);
 
-      console.log('[Gun] Initialized signaling for room:', this.roomId);
+      this.log(`[Gun] Initialized signaling for room: ${this.roomId}`, 'info');
     } catch (err) {
-      console.error('[Gun] Init error:', err);
+      this.log(`[Gun] Init error: ${err?.message || err}`, 'error');
     }
   }
 
@@ -212,7 +218,7 @@ export class HybridSignaling {
     };
     
     room.get('signals').get(this.peerId).put(JSON.stringify(signalData));
-    console.log('[Gun] Sent signal to:', toPeerId.substring(0, 8));
+    this.log(`[Gun] Sent signal to: ${toPeerId.substring(0, 8)}`, 'info');
   }
 
   /**
@@ -264,7 +270,7 @@ export class HybridSignaling {
       try {
         this.trackerClient.destroy();
       } catch (err) {
-        console.error('[Tracker] Error closing client:', err);
+        this.log(`[Tracker] Error closing client: ${err?.message || err}`, 'error');
       }
       this.trackerClient = null;
     }
@@ -277,6 +283,6 @@ export class HybridSignaling {
     this.discoveredPeers.clear();
     this.gunPeers.clear();
     
-    console.log('[Hybrid] Signaling shutdown');
+    this.log('[Hybrid] Signaling shutdown', 'info');
   }
 }
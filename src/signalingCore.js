@@ -0,0 +1,544 @@
+/**
+ * Signaling protocol core shared by the Node server (src/server/signalingServer.js)
+ * and the Cloudflare Room durable object (src/room.js).
+ *
+ * Owns the room model (clients, per-client queues, sessions), the
+ * connect / set-id / join / leave / signal / poll operations and the WebSocket
+ * frame protocol on top of them. It has no I/O of its
+ * own: the runtime supplies a clock and hooks, and every operation returns
+ * { status, body } in the shape of the HTTP response, so each deployment only
+ * adapts transports and storage around it.
+ */
+
+import { checkTokenAccess, tokenAllowsPeerId } from './auth.js';
+
+const encoder = new TextEncoder();
+
+// WebSocket frame types answered as requests; any other type is a signal
+const FRAME_REQUESTS = ['set-id', 'join', 'leave', 'list-rooms'];
+
+// Message types only the server sends. Signals may not use them, or a peer could
+// pose as the server to another client (settle its requests, change its clientId).
+const RESERVED_TYPES = new Set(['welcome', 'joined', 'ack', 'error', 'room-list', 'session-closed', 'removed']);
+
+function isReservedType(type) {
+  return RESERVED_TYPES.has(type) || type.startsWith('peer-');
+}
+
+/**
+ * Empty room state. Runtimes may add their own fields (open streams, sockets, ...).
+ * @param {string} roomKey
+ */
+export function createRoomState(roomKey) {
+  return {
+    key: roomKey,
+    clients: new Map(), // clientId -> { clientId, sessionId, node, lastSeen, seq }
+    queues: new Map(), // clientId -> [{ message, size, expiresAt }], each message stamped with a per-client seq
+    overflows: new Map(), // clientId -> messages dropped since its full queue was last drained
+    sessions: new Map(), // sessionId -> Set(clientId)
+    dropped: 0 // total messages dropped on full queues
+  };
+}
+
+export function queueBytes(q) {
+  return q.reduce((total, entry) => total + entry.size, 0);
+}
+
+// Upper bound for /api/poll?wait=; kept well below the client TTL.
+const MAX_POLL_WAIT_MS = 30_000;
+
+// Milliseconds a long-poll may be held for its ?wait=; 0 answers at once
+export function parsePollWait(raw) {
+  const wait = Number.parseInt(raw, 10);
+  if (!Number.isFinite(wait) || wait <= 0) return 0;
+  return Math.min(wait, MAX_POLL_WAIT_MS);
+}
+
+/**
+ * Create the protocol operations for one runtime.
+ *
+ * Hooks (all optional):
+ *   - isLocal(client): false for clients whose queue lives elsewhere (another cluster node)
+ *   - route(state, client, message): deliver to a client that isn't local
+ *   - queued(state, clientId): messages were queued for a local client; hand them to its transport
+ *   - changed(state): durable state changed; persist it
+ *   - updated(state, client): a client's session or owner changed
+ *   - renamed(state, oldId, newId): a client took a new id; move its transport over
+ *   - removed(state, clientId, { replicated, kicked }): a client is gone; release its transport
+ *   - connected(state, clientId): true while a transport holds the client open (it isn't pruned)
+ *   - signaled(state, message): a signal was queued or routed to at least one recipient
+ *   - pruned(state, clientId): a local client missed its TTL and was removed
+ *
+ * @param {object} [options]
+ * @param {Function} [options.now=Date.now] - Clock
+ * @param {Function} [options.generateId] - New clientIds
+ * @param {number} [options.clientTtlMs=60000] - Clients quiet for this long are pruned
+ * @param {number} [options.queueMaxMessages=256]
+ * @param {number} [options.queueMaxBytes=262144]
+ * @param {number} [options.messageTtlMs] - Queued messages expire after this (defaults to clientTtlMs)
+ * @param {number} [options.maxClientsPerRoom=1000]
+ * @param {number} [options.maxSessionsPerRoom=100]
+ * @param {object} [options.hooks]
+ */
+export function createSignalingCore({
+  now = Date.now,
+  generateId = () => Math.random().toString(36).substring(2, 11),
+  clientTtlMs = 60_000,
+  queueMaxMessages = 256,
+  queueMaxBytes = 256 * 1024,
+  messageTtlMs = clientTtlMs,
+  maxClientsPerRoom = 1000,
+  maxSessionsPerRoom = 100,
+  hooks = {}
+} = {}) {
+  const isLocal = (client) => (hooks.isLocal ? hooks.isLocal(client) : true);
+  const changed = (state) => hooks.changed?.(state);
+
+  function error(status, message, extra = {}) {
+    return { status, body: { type: 'error', message, ...extra } };
+  }
+
+  // Returns false (and records the overflow) when the target's queue is full.
+  // Messages for clients that aren't local are handed to hooks.route; their
+  // queue limits are enforced wherever they live, so that always reports success.
+  function queueMessage(state, targetClientId, message) {
+    const target = state.clients.get(targetClientId);
+    if (target && !isLocal(target)) {
+      hooks.route?.(state, target, message);
+      return true;
+    }
+
+    if (!state.queues.has(targetClientId)) state.queues.set(targetClientId, []);
+    const q = state.queues.get(targetClientId);
+    const size = encoder.encode(JSON.stringify(message)).length;
+    if (q.length >= queueMaxMessages || queueBytes(q) + size > queueMaxBytes) {
+      state.overflows.set(targetClientId, (state.overflows.get(targetClientId) || 0) + 1);
+      state.dropped += 1;
+      return false;
+    }
+
+    // Monotonic per-client sequence; pollers ack it, SSE uses it as the event id
+    const seq = target ? (target.seq = (target.seq || 0) + 1) : 0;
+    q.push({ message: { ...message, seq }, size, expiresAt: now() + messageTtlMs });
+    changed(state);
+    hooks.queued?.(state, targetClientId);
+    return true;
+  }
+
+  // Remove and return the client's queued messages
+  function drainQueue(state, clientId) {
+    const q = state.queues.get(clientId) || [];
+    state.queues.set(clientId, []);
+    state.overflows.delete(clientId);
+    if (q.length > 0) changed(state);
+    return q.map((entry) => entry.message);
+  }
+
+  // Drop queued messages the client has acknowledged; the rest are redelivered on the next poll
+  function ackMessages(state, clientId, ack) {
+    const q = state.queues.get(clientId) || [];
+    const remaining = q.filter((entry) => entry.message.seq > ack);
+    state.queues.set(clientId, remaining);
+    if (remaining.length < q.length) {
+      state.overflows.delete(clientId);
+      changed(state);
+    }
+  }
+
+  /**
+   * Messages for a poll. With an ack (at-least-once) the queue is only trimmed up
+   * to the acknowledged seq; without one, messages are removed as they are returned.
+   * @param {number|null} ack
+   */
+  function takeMessages(state, clientId, ack = null) {
+    if (ack === null) return drainQueue(state, clientId);
+    ackMessages(state, clientId, ack);
+    return (state.queues.get(clientId) || []).map((entry) => entry.message);
+  }
+
+  function expireMessages(state) {
+    const at = now();
+    for (const [clientId, q] of state.queues.entries()) {
+      if (q.some((entry) => entry.expiresAt <= at)) {
+        state.queues.set(clientId, q.filter((entry) => entry.expiresAt > at));
+        changed(state);
+      }
+    }
+  }
+
+  // Returns the members whose queue was full
+  function broadcastToSession(state, sessionId, message, excludeClientId = null) {
+    const members = state.sessions.get(sessionId);
+    const overflowed = [];
+    if (!members) return overflowed;
+    for (const memberId of members) {
+      if (excludeClientId && memberId === excludeClientId) continue;
+      if (!queueMessage(state, memberId, message)) overflowed.push(memberId);
+    }
+    return overflowed;
+  }
+
+  // Drop a client from its session and (unless replaying another node's change) tell the remaining members
+  function removeFromSession(state, clientId, sessionId, notify = true) {
+    const members = state.sessions.get(sessionId);
+    if (members) {
+      members.delete(clientId);
+      if (members.size === 0) state.sessions.delete(sessionId);
+    }
+    if (!notify) return;
+    broadcastToSession(state, sessionId, {
+      type: 'peer-left',
+      sessionId,
+      peerId: clientId
+    });
+  }
+
+  // `replicated` is set when applying a removal another node already announced;
+  // `kicked` when the client was removed on purpose and shouldn't come back
+  function removeClient(state, clientId, { replicated = false, kicked = false } = {}) {
+    const client = state.clients.get(clientId);
+    if (!client) return;
+    if (client.sessionId) removeFromSession(state, clientId, client.sessionId, !replicated);
+    state.clients.delete(clientId);
+    state.queues.delete(clientId);
+    state.overflows.delete(clientId);
+    changed(state);
+    hooks.removed?.(state, clientId, { replicated, kicked });
+  }
+
+  // Remote clients are left to the runtime; they are pruned where they live
+  function pruneStaleClients(state) {
+    const at = now();
+    expireMessages(state);
+    for (const [clientId, client] of state.clients.entries()) {
+      if (!isLocal(client)) continue;
+      // A client parked in a long-poll, stream or socket is connected, even if its last request started a while ago
+      if (hooks.connected?.(state, clientId)) {
+        client.lastSeen = at;
+        continue;
+      }
+      // Treat as disconnect
+      if (at - client.lastSeen > clientTtlMs) {
+        hooks.pruned?.(state, clientId);
+        removeClient(state, clientId);
+      }
+    }
+  }
+
+  function touch(state, clientId) {
+    const client = state.clients.get(clientId);
+    if (client) client.lastSeen = now();
+    return client;
+  }
+
+  // With auth enabled the clientId is the token subject instead of a random one
+  function connect(state, { clientId = generateId(), node = null } = {}) {
+    if (state.clients.has(clientId)) return error(409, 'Peer ID already taken');
+    if (state.clients.size >= maxClientsPerRoom) return error(429, 'Room is full');
+    const client = { clientId, sessionId: null, node, lastSeen: now() };
+    state.clients.set(clientId, client);
+    state.queues.set(clientId, []);
+    changed(state);
+    hooks.updated?.(state, client);
+    return { status: 200, body: { type: 'welcome', clientId, message: 'Connected to UniWRTC signaling server' } };
+  }
+
+  function renameClient(state, clientId, customId) {
+    const client = state.clients.get(clientId);
+    if (!client) return;
+    const existingQueue = state.queues.get(clientId) || [];
+    state.clients.delete(clientId);
+    state.queues.delete(clientId);
+    state.clients.set(customId, { ...client, clientId: customId, lastSeen: now() });
+    state.queues.set(customId, existingQueue);
+    if (state.overflows.has(clientId)) {
+      state.overflows.set(customId, state.overflows.get(clientId));
+      state.overflows.delete(clientId);
+    }
+
+    // Update membership sets
+    if (client.sessionId) {
+      const members = state.sessions.get(client.sessionId);
+      if (members) {
+        members.delete(clientId);
+        members.add(customId);
+      }
+    }
+    changed(state);
+    hooks.renamed?.(state, clientId, customId);
+  }
+
+  function setId(state, { clientId, customId } = {}) {
+    if (!clientId || !state.clients.has(clientId)) return error(400, 'Invalid clientId');
+    if (!customId || typeof customId !== 'string' || customId.length < 3 || customId.length > 20) {
+      return error(400, 'Custom ID must be between 3-20 characters');
+    }
+    if (state.clients.has(customId) && customId !== clientId) return error(409, 'Peer ID already taken');
+
+    renameClient(state, clientId, customId);
+    return { status: 200, body: { type: 'welcome', clientId: customId, message: 'Custom peer ID set' } };
+  }
+
+  function join(state, { clientId, sessionId } = {}) {
+    if (!clientId || !state.clients.has(clientId)) return error(400, 'Invalid clientId');
+    if (!sessionId) return error(400, 'Session ID is required');
+    if (!state.sessions.has(sessionId) && state.sessions.size >= maxSessionsPerRoom) {
+      return error(429, 'Too many sessions in this room');
+    }
+
+    const client = touch(state, clientId);
+
+    // Leave previous session
+    if (client.sessionId && client.sessionId !== sessionId) {
+      removeFromSession(state, clientId, client.sessionId);
+    }
+
+    client.sessionId = sessionId;
+    if (!state.sessions.has(sessionId)) state.sessions.set(sessionId, new Set());
+    state.sessions.get(sessionId).add(clientId);
+    changed(state);
+    hooks.updated?.(state, client);
+
+    const members = state.sessions.get(sessionId);
+    const existingClients = Array.from(members).filter((id) => id !== clientId);
+
+    // Notify others
+    broadcastToSession(state, sessionId, {
+      type: 'peer-joined',
+      sessionId,
+      peerId: clientId
+    }, clientId);
+
+    return {
+      status: 200,
+      body: {
+        type: 'joined',
+        sessionId,
+        clientId,
+        clients: existingClients
+      }
+    };
+  }
+
+  // Leave the current session but stay connected (WebSocket clients reuse their id for another join)
+  function leaveSession(state, { clientId } = {}) {
+    const client = state.clients.get(clientId);
+    if (!client) return error(400, 'Invalid clientId');
+    if (client.sessionId) {
+      removeFromSession(state, clientId, client.sessionId);
+      client.sessionId = null;
+      changed(state);
+      hooks.updated?.(state, client);
+    }
+    return { status: 200, body: { ok: true } };
+  }
+
+  // Take every member out of a session and tell them; they stay connected and can join another
+  function closeSession(state, { sessionId } = {}) {
+    const members = state.sessions.get(sessionId);
+    if (!members) return error(404, 'Unknown session');
+    state.sessions.delete(sessionId);
+    const removed = Array.from(members);
+    for (const clientId of removed) {
+      const client = state.clients.get(clientId);
+      if (!client) continue;
+      client.sessionId = null;
+      hooks.updated?.(state, client);
+      queueMessage(state, clientId, { type: 'session-closed', sessionId });
+    }
+    changed(state);
+    return { status: 200, body: { ok: true, removed } };
+  }
+
+  // /api/leave: leave and disconnect
+  function leave(state, { clientId } = {}) {
+    if (!clientId || !state.clients.has(clientId)) return error(400, 'Invalid clientId');
+    removeClient(state, clientId);
+    return { status: 200, body: { ok: true } };
+  }
+
+  function signal(state, body = {}) {
+    // The sender's requestId and access token are for the server, not the receivers
+    const { requestId, token, ...fields } = body;
+    const { clientId, sessionId, targetId, type } = fields;
+    if (!clientId || !state.clients.has(clientId)) return error(400, 'Invalid clientId');
+    if (!sessionId) return error(400, 'Session ID is required');
+    if (!type || typeof type !== 'string') return error(400, 'Message type is required');
+    if (isReservedType(type)) return error(400, `Message type ${type} is reserved`);
+
+    const client = touch(state, clientId);
+    if (!client.sessionId) return error(400, 'Not in a session');
+    if (sessionId !== client.sessionId) return error(403, 'Not a member of this session');
+
+    const message = {
+      ...fields,
+      peerId: clientId,
+      sessionId
+    };
+
+    if (targetId && !state.clients.has(targetId)) return error(404, 'Target peer not found');
+    // Sessions are isolated: peers can only signal members of their own session
+    if (targetId && !state.sessions.get(client.sessionId)?.has(targetId)) {
+      return error(403, 'Target peer is not in this session');
+    }
+
+    if (targetId) {
+      if (!queueMessage(state, targetId, message)) {
+        return error(507, 'Target peer queue is full', { peers: [targetId] });
+      }
+      hooks.signaled?.(state, message);
+      return { status: 200, body: { ok: true } };
+    }
+
+    const recipients = state.sessions.get(client.sessionId).size - 1;
+    const overflowed = broadcastToSession(state, client.sessionId, message, clientId);
+    if (overflowed.length < recipients) hooks.signaled?.(state, message);
+    if (overflowed.length > 0) {
+      // Delivered to everyone else; tell the sender who missed it
+      return error(507, 'Peer queue is full', { peers: overflowed });
+    }
+    return { status: 200, body: { ok: true } };
+  }
+
+  // Short poll; runtimes that hold requests open (long-poll) check hasPending first
+  function poll(state, { clientId, ack = null } = {}) {
+    if (!clientId) return error(400, 'clientId is required');
+    if (!touch(state, clientId)) return error(404, 'Unknown clientId');
+    return { status: 200, body: { messages: takeMessages(state, clientId, ack) } };
+  }
+
+  function hasPending(state, clientId) {
+    return (state.queues.get(clientId) || []).length > 0;
+  }
+
+  function listSessions(state) {
+    const sessions = Array.from(state.sessions.entries()).map(([sessionId, members]) => ({
+      sessionId,
+      clients: members.size
+    }));
+    return { status: 200, body: { type: 'room-list', rooms: sessions } };
+  }
+
+  // Replay another node's view of a client (cluster replication) without notifying anyone
+  function applyClientUpdate(state, { clientId, sessionId, node }) {
+    const existing = state.clients.get(clientId);
+    if (existing?.sessionId && existing.sessionId !== sessionId) {
+      removeFromSession(state, clientId, existing.sessionId, false);
+    }
+    state.clients.set(clientId, { ...existing, clientId, sessionId, node, lastSeen: now() });
+    if (sessionId) {
+      if (!state.sessions.has(sessionId)) state.sessions.set(sessionId, new Set());
+      state.sessions.get(sessionId).add(clientId);
+    }
+  }
+
+  // Only durable state owned here is persisted; replicas of remote clients are rebuilt at runtime
+  function serializeRoom(state) {
+    const local = (clientId) => isLocal(state.clients.get(clientId));
+    return {
+      clients: Array.from(state.clients.values()).filter(isLocal),
+      queues: Array.from(state.queues.entries()).filter(([clientId]) => local(clientId)),
+      sessions: Array.from(state.sessions.entries()).map(([sessionId, members]) => [sessionId, Array.from(members).filter(local)]),
+      overflows: Array.from(state.overflows.entries()),
+      dropped: state.dropped
+    };
+  }
+
+  // The operation a WebSocket frame asks for. The client's socket already identifies it,
+  // so the frame's own clientId is ignored.
+  function frameResult(state, clientId, message, claims, rename) {
+    const client = touch(state, clientId);
+    switch (message.type) {
+      case 'set-id':
+        if (claims && !tokenAllowsPeerId(claims, message.customId)) return error(403, 'Token not valid for this peer ID');
+        return rename(state, { clientId, customId: message.customId });
+      case 'join': {
+        const denied = claims && checkTokenAccess(claims, { sessionId: message.sessionId });
+        if (denied) return error(403, denied);
+        return join(state, { clientId, sessionId: message.sessionId });
+      }
+      case 'leave':
+        // Leaving a session keeps the socket (and clientId) usable for another join
+        return leaveSession(state, { clientId });
+      case 'list-rooms':
+        return listSessions(state);
+      default:
+        return signal(state, { ...message, clientId, sessionId: message.sessionId || client?.sessionId });
+    }
+  }
+
+  /**
+   * Handle one WebSocket frame from a connected client. Returns the frame to send
+   * back (null when there is none) and the client's id afterwards, which set-id changes.
+   * Replies echo the frame's requestId so the client can settle the matching request;
+   * acks such as { ok: true } are only sent when one was asked for.
+   * @param {string} text - The frame as received
+   * @param {object} [options]
+   * @param {object|null} [options.claims] - Verified access token claims, when auth is on
+   * @param {function} [options.limit] - (endpoint) => { allowed, retryAfter }; frames share the HTTP endpoints' buckets
+   * @param {function} [options.setId] - Replaces setId(), e.g. to replicate the rename
+   */
+  function handleFrame(state, clientId, text, { claims = null, limit = null, setId: rename = setId } = {}) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return { clientId, reply: { type: 'error', message: 'Invalid JSON' } };
+    }
+    if (!message || typeof message.type !== 'string') {
+      return { clientId, reply: { type: 'error', message: 'Message type is required' } };
+    }
+    const { requestId, ...fields } = message;
+
+    const limited = limit?.(FRAME_REQUESTS.includes(fields.type) ? fields.type : 'signal');
+    if (limited && !limited.allowed) {
+      return { clientId, reply: { type: 'error', message: 'Too many requests', status: 429, retryAfter: limited.retryAfter, requestId } };
+    }
+
+    const result = frameResult(state, clientId, fields, claims, rename);
+    if (result.status !== 200) {
+      return { clientId, reply: { type: 'error', message: result.body.message, status: result.status, requestId } };
+    }
+    if (fields.type === 'set-id') clientId = result.body.clientId;
+    if (result.body.type) return { clientId, reply: { ...result.body, requestId } };
+    return { clientId, reply: requestId ? { type: 'ack', requestId } : null };
+  }
+
+  // `state` is a fresh room state (possibly with runtime fields) to fill in
+  function restoreRoom(state, snapshot, { node = null } = {}) {
+    const at = now();
+    for (const client of snapshot.clients || []) {
+      // Give every client a full TTL to come back after the restart
+      state.clients.set(client.clientId, { ...client, node, lastSeen: at });
+    }
+    for (const [clientId, q] of snapshot.queues || []) state.queues.set(clientId, q);
+    for (const [sessionId, members] of snapshot.sessions || []) state.sessions.set(sessionId, new Set(members));
+    for (const [clientId, count] of snapshot.overflows || []) state.overflows.set(clientId, count);
+    state.dropped = snapshot.dropped || 0;
+    return state;
+  }
+
+  return {
+    connect,
+    setId,
+    join,
+    leave,
+    leaveSession,
+    closeSession,
+    signal,
+    poll,
+    hasPending,
+    takeMessages,
+    listSessions,
+    handleFrame,
+    queueMessage,
+    drainQueue,
+    removeClient,
+    removeFromSession,
+    renameClient,
+    applyClientUpdate,
+    pruneStaleClients,
+    serializeRoom,
+    restoreRoom
+  };
+}
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { createMemoryAdapter, createRedisAdapter } from '../../src/server/adapter.js';
+
+const bulk = (value) => `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+const array = (items) => `*${items.length}\r\n${items.map(bulk).join('')}`;
+
+// A stand-in for Redis that speaks just enough RESP for the adapter:
+// AUTH, SUBSCRIBE and PUBLISH. `reply(command, socket)` can override any answer.
+async function startFakeRedis({ password = null, reply = () => undefined } = {}) {
+  const subscribers = new Map(); // channel -> Set(socket)
+  const sockets = new Set();
+  const commands = [];
+  let connections = 0;
+
+  const server = net.createServer((socket) => {
+    connections += 1;
+    sockets.add(socket);
+    socket.on('close', () => {
+      sockets.delete(socket);
+      for (const set of subscribers.values()) set.delete(socket);
+    });
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      // Commands arrive as arrays of bulk strings without embedded newlines
+      for (;;) {
+        const parts = buffer.split('\r\n');
+        if (!parts[0].startsWith('*')) return;
+        const count = Number(parts[0].slice(1));
+        if (parts.length < 2 + count * 2) return;
+        const args = [];
+        for (let i = 0; i < count; i++) args.push(parts[2 + i * 2]);
+        buffer = parts.slice(1 + count * 2).join('\r\n');
+        handle(socket, args);
+      }
+    });
+  });
+
+  function handle(socket, args) {
+    const [name, ...rest] = args;
+    commands.push(args);
+    const override = reply(args, socket);
+    if (override !== undefined) return socket.write(override);
+    if (name === 'AUTH') return socket.write(rest.at(-1) === password ? '+OK\r\n' : '-ERR invalid password\r\n');
+    if (name === 'SUBSCRIBE') {
+      for (const channel of rest) {
+        if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+        subscribers.get(channel).add(socket);
+        socket.write(`*3\r\n${bulk('subscribe')}${bulk(channel)}:1\r\n`);
+      }
+      return;
+    }
+    if (name === 'PUBLISH') {
+      const targets = subscribers.get(rest[0]) || new Set();
+      for (const target of targets) target.write(array(['message', rest[0], rest[1]]));
+      return socket.write(`:${targets.size}\r\n`);
+    }
+    socket.write('-ERR unknown command\r\n');
+  }
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    commands,
+    get connections() {
+      return connections;
+    },
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+function recordingLogger() {
+  const lines = [];
+  return { lines, log: (...args) => lines.push(args.join(' ')) };
+}
+
+const nextMessage = () => {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, handler: (message) => resolve(message) };
+};
+
+const until = async (predicate) => {
+  for (let i = 0; i < 200 && !predicate(); i++) await new Promise((r) => setTimeout(r, 10));
+  assert.ok(predicate(), 'condition not reached in time');
+};
+
+test('the memory adapter delivers to every subscriber sharing its hub', async () => {
+  const hub = new Map();
+  const a = createMemoryAdapter({ hub });
+  const b = createMemoryAdapter({ hub });
+  const received = nextMessage();
+  await b.subscribe('ch', received.handler);
+  await a.publish('ch', 'hello');
+  assert.equal(await received.promise, 'hello');
+
+  await b.close();
+  assert.equal(hub.get('ch').size, 0);
+});
+
+test('the Redis adapter publishes and receives over RESP', async (t) => {
+  const redis = await startFakeRedis();
+  t.after(() => redis.close());
+  const adapter = createRedisAdapter({ url: `redis://127.0.0.1:${redis.port}` });
+  t.after(() => adapter.close());
+
+  const received = nextMessage();
+  await adapter.subscribe('room', received.handler);
+  await until(() => redis.commands.some(([name]) => name === 'SUBSCRIBE'));
+  await adapter.publish('room', 'hello');
+  assert.equal(await received.promise, 'hello');
+});
+
+test('AUTH is sent first and a normal close logs nothing', async () => {
+  const redis = await startFakeRedis({ password: 's3cret' });
+  const logger = recordingLogger();
+  const adapter = createRedisAdapter({ url: `redis://:s3cret@127.0.0.1:${redis.port}`, logger });
+
+  const received = nextMessage();
+  await adapter.subscribe('room', received.handler);
+  await until(() => redis.commands.some(([name]) => name === 'SUBSCRIBE'));
+  await adapter.publish('room', 'hello');
+  assert.equal(await received.promise, 'hello');
+  assert.deepEqual(redis.commands.filter(([name]) => name === 'AUTH'), [['AUTH', 's3cret'], ['AUTH', 's3cret']]);
+
+  await adapter.close();
+  await redis.close();
+  await new Promise((r) => setTimeout(r, 20));
+  assert.deepEqual(logger.lines, []);
+});
+
+test('a refused AUTH is logged', async (t) => {
+  const redis = await startFakeRedis({ password: 'right' });
+  t.after(() => redis.close());
+  const logger = recordingLogger();
+  const adapter = createRedisAdapter({ url: `redis://:wrong@127.0.0.1:${redis.port}`, logger });
+  t.after(() => adapter.close());
+
+  await until(() => logger.lines.length === 2);
+  assert.match(logger.lines[0], /AUTH failed: ERR invalid password/);
+});
+
+test('an unparseable reply is logged and the connection is replaced', async (t) => {
+  let garbled = false;
+  const redis = await startFakeRedis({
+    reply([name]) {
+      if (name !== 'PUBLISH' || garbled) return undefined;
+      garbled = true;
+      return '?not resp\r\n';
+    }
+  });
+  t.after(() => redis.close());
+  const logger = recordingLogger();
+  const adapter = createRedisAdapter({ url: `redis://127.0.0.1:${redis.port}`, reconnectDelay: 10, logger });
+  t.after(() => adapter.close());
+
+  // The publish answered with garbage fails when its connection is dropped
+  await assert.rejects(adapter.publish('room', 'lost'), /connection closed/);
+  assert.match(logger.lines[0], /bad reply, reconnecting: Unexpected RESP prefix/);
+
+  // ...and the adapter carries on over a new connection
+  await until(() => redis.connections === 3);
+  await adapter.publish('room', 'again');
+});
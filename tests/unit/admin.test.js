@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../../src/server/store.js';
+import { UniWRTCClient } from '../../client.js';
+import { startServer } from './helpers/server.js';
+
+const auth = { headers: { Authorization: 'Bearer admin-secret' } };
+
+// Two clients in session s of room r, plus the admin API
+async function setup(t, options = {}) {
+  const server = await startServer(t, { adminToken: 'admin-secret', ...options });
+  const connect = async () => (await server.post('/api/connect?room=r', {})).body.clientId;
+  const a = await connect();
+  const b = await connect();
+  await server.post('/api/join?room=r', { clientId: a, sessionId: 's' });
+  await server.post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  const poll = async (clientId) => server.get(`/api/poll?room=r&clientId=${clientId}`);
+  await poll(a);
+  return { ...server, a, b, poll };
+}
+
+test('the admin API is off without a token and needs it otherwise', async (t) => {
+  const off = await startServer(t);
+  assert.equal((await off.get('/admin/rooms', auth)).status, 404);
+
+  const on = await startServer(t, { adminToken: 'admin-secret' });
+  assert.equal((await on.get('/admin/rooms')).status, 401);
+  assert.equal((await on.get('/admin/rooms', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  assert.equal((await on.get('/admin/rooms', auth)).status, 200);
+});
+
+test('rooms, clients and sessions can be inspected', async (t) => {
+  const { get, a, b } = await setup(t);
+  assert.deepEqual((await get('/admin/rooms', auth)).body.rooms, [{ room: 'r', clients: 2, sessions: 1, queuedMessages: 0 }]);
+
+  const room = (await get('/admin/rooms/r', auth)).body;
+  assert.deepEqual(room.sessions, [{ sessionId: 's', members: [a, b] }]);
+  assert.equal(room.clients.find((client) => client.clientId === a).transport, 'poll');
+
+  assert.equal((await get(`/admin/rooms/r/clients/${b}`, auth)).body.sessionId, 's');
+  assert.equal((await get('/admin/rooms/r/sessions/s', auth)).body.clients.length, 2);
+  assert.equal((await get('/admin/rooms/nope', auth)).status, 404);
+  assert.equal((await get('/admin/rooms/r/clients/nobody', auth)).status, 404);
+});
+
+test('kicking a client removes it and tells its session', async (t) => {
+  const { del, poll, a, b } = await setup(t);
+  assert.deepEqual((await del(`/admin/rooms/r/clients/${b}`, auth)).body, { ok: true, removed: [b] });
+  assert.deepEqual(await poll(b).then(({ status, body }) => [status, body.type]), [410, 'removed']);
+  assert.deepEqual((await poll(a)).body.messages.map(({ type, peerId }) => [type, peerId]), [['peer-left', b]]);
+});
+
+test('closing a session takes its members out but leaves them connected', async (t) => {
+  const { del, get, post, poll, a, b } = await setup(t);
+  assert.deepEqual((await del('/admin/rooms/r/sessions/s', auth)).body, { ok: true, removed: [a, b] });
+  assert.equal((await get('/admin/rooms/r/sessions/s', auth)).status, 404);
+
+  for (const clientId of [a, b]) {
+    const { status, body } = await poll(clientId);
+    assert.equal(status, 200);
+    assert.deepEqual(body.messages.map(({ type, sessionId }) => [type, sessionId]), [['session-closed', 's']]);
+  }
+
+  // Out of the session, but free to join another
+  assert.equal((await post('/api/signal?room=r', { clientId: a, sessionId: 's', targetId: b, type: 'offer' })).status, 400);
+  assert.deepEqual((await post('/api/join?room=r', { clientId: a, sessionId: 't' })).body.clients, []);
+  assert.equal((await del('/admin/rooms/r/sessions/s', auth)).status, 404);
+});
+
+test('a client whose session is closed stays connected outside it', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { base, del } = await setup(t);
+  const client = new UniWRTCClient(base, { roomId: 'r', transport: 'polling', pollWait: 1000 });
+  t.after(() => client.disconnect());
+  await client.connect();
+  await client.joinSession('s');
+
+  const closed = client.once('session-closed');
+  await del('/admin/rooms/r/sessions/s', auth);
+  assert.deepEqual(await closed, { sessionId: 's' });
+  assert.equal(client.sessionId, null);
+  assert.equal(client.activeTransport, 'polling');
+  assert.deepEqual((await client.joinSession('t')).clients, []);
+});
+
+test('purging a room removes everyone and its stored state', async (t) => {
+  const deleted = [];
+  const store = { ...createMemoryStore(), delete: async (roomKey) => deleted.push(roomKey) };
+  const { del, get, poll, a, b } = await setup(t, { store });
+  assert.deepEqual((await del('/admin/rooms/r', auth)).body, { ok: true, removed: [a, b] });
+  assert.deepEqual(deleted, ['r']);
+  assert.equal((await poll(a)).status, 404);
+  assert.deepEqual((await get('/admin/rooms', auth)).body.rooms, []);
+});
+
+test('a store that fails to delete a purged room is reported, not fatal', async (t) => {
+  const store = { ...createMemoryStore(), delete: async () => { throw new Error('disk gone'); } };
+  const { del, get, a, b } = await setup(t, { store });
+  const purge = await del('/admin/rooms/r', auth);
+  assert.equal(purge.status, 500);
+  assert.deepEqual(purge.body.removed, [a, b]);
+  // The server is still up
+  assert.equal((await get('/admin/rooms', auth)).status, 200);
+});
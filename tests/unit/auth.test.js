@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  signAccessToken,
+  verifyAccessToken,
+  extractAccessToken,
+  checkTokenAccess,
+  tokenAllowsPeerId
+} from '../../src/auth.js';
+
+const SECRET = 'test-secret';
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test('a signed token verifies and returns its claims', async () => {
+  const token = await signAccessToken({ sub: 'alice', room: 'r', exp: inOneHour() }, SECRET);
+  const claims = await verifyAccessToken(token, SECRET);
+  assert.equal(claims.sub, 'alice');
+  assert.equal(claims.room, 'r');
+});
+
+test('forged, tampered and malformed tokens are refused', async () => {
+  const token = await signAccessToken({ sub: 'alice' }, SECRET);
+  await assert.rejects(verifyAccessToken(token, 'other-secret'), /signature/);
+
+  const [header, , signature] = token.split('.');
+  const payload = Buffer.from(JSON.stringify({ sub: 'mallory' })).toString('base64url');
+  await assert.rejects(verifyAccessToken(`${header}.${payload}.${signature}`, SECRET), /signature/);
+
+  await assert.rejects(verifyAccessToken('not-a-token', SECRET), /Malformed/);
+  await assert.rejects(verifyAccessToken(null, SECRET), /Malformed/);
+  await assert.rejects(verifyAccessToken('a.b.c', SECRET), /Malformed/);
+});
+
+test('only HS256 tokens are accepted', async () => {
+  const token = await signAccessToken({ sub: 'alice' }, SECRET);
+  const none = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+  const [, payload, signature] = token.split('.');
+  await assert.rejects(verifyAccessToken(`${none}.${payload}.${signature}`, SECRET), /algorithm/);
+});
+
+test('time claims and the subject are enforced', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await assert.rejects(verifyAccessToken(await signAccessToken({ sub: 'a', exp: now - 1 }, SECRET), SECRET), /expired/);
+  await assert.rejects(verifyAccessToken(await signAccessToken({ sub: 'a', nbf: now + 60 }, SECRET), SECRET), /not yet valid/);
+  await assert.rejects(verifyAccessToken(await signAccessToken({ room: 'r' }, SECRET), SECRET), /subject/);
+});
+
+test('extractAccessToken prefers the header, then the query, then the body', () => {
+  const query = new URLSearchParams('token=from-query');
+  assert.equal(extractAccessToken('Bearer from-header', query, { token: 'from-body' }), 'from-header');
+  assert.equal(extractAccessToken(null, query, { token: 'from-body' }), 'from-query');
+  assert.equal(extractAccessToken('Basic abc', new URLSearchParams(), { token: 'from-body' }), 'from-body');
+  assert.equal(extractAccessToken(null, new URLSearchParams(), {}), null);
+});
+
+test('checkTokenAccess limits rooms, sessions and client IDs', () => {
+  const claims = { sub: 'alice', peers: ['alice-laptop'], room: 'r', session: 's' };
+  assert.equal(checkTokenAccess(claims, { room: 'r', sessionId: 's', clientId: 'alice' }), null);
+  assert.equal(checkTokenAccess(claims, { clientId: 'alice-laptop' }), null);
+  assert.match(checkTokenAccess(claims, { room: 'other' }), /room/);
+  assert.match(checkTokenAccess(claims, { sessionId: 'other' }), /session/);
+  assert.match(checkTokenAccess(claims, { clientId: 'bob' }), /clientId/);
+
+  // Unrestricted claims allow any room and session
+  assert.equal(checkTokenAccess({ sub: 'alice' }, { room: 'any', sessionId: 'any' }), null);
+});
+
+test('tokenAllowsPeerId accepts the subject and the listed peers', () => {
+  assert.equal(tokenAllowsPeerId({ sub: 'alice' }, 'alice'), true);
+  assert.equal(tokenAllowsPeerId({ sub: 'alice', peers: ['a2'] }, 'a2'), true);
+  assert.equal(tokenAllowsPeerId({ sub: 'alice' }, 'bob'), false);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UniWRTCEmitter } from '../../client.js';
+import { createFakeTransport, createFakeClient } from './helpers/transport.js';
+
+test('on() and off() add and remove handlers, each only once', () => {
+  const emitter = new UniWRTCEmitter();
+  const seen = [];
+  const handler = (data) => seen.push(data);
+  emitter.on('chat', handler);
+  emitter.on('chat', handler);
+  emitter.emit('chat', 1);
+  emitter.off('chat', handler);
+  emitter.emit('chat', 2);
+  assert.deepEqual(seen, [1]);
+});
+
+test('once() fires for the next event only, or returns a Promise for it', async () => {
+  const emitter = new UniWRTCEmitter();
+  const seen = [];
+  emitter.once('chat', (data) => seen.push(data));
+  const next = emitter.once('chat');
+  emitter.emit('chat', 'a');
+  emitter.emit('chat', 'b');
+  assert.deepEqual(seen, ['a']);
+  assert.equal(await next, 'a');
+});
+
+test('\'*\' receives every event with its name', () => {
+  const emitter = new UniWRTCEmitter();
+  const seen = [];
+  emitter.on('*', (data, event) => seen.push([event, data]));
+  emitter.emit('joined', { sessionId: 's' });
+  emitter.emit('custom', 1);
+  assert.deepEqual(seen, [['joined', { sessionId: 's' }], ['custom', 1]]);
+});
+
+test('events are also DOM events with the payload in detail', () => {
+  const emitter = new UniWRTCEmitter();
+  let detail = null;
+  emitter.addEventListener('peer-joined', (event) => {
+    detail = event.detail;
+  });
+  emitter.emit('peer-joined', { peerId: 'p' });
+  assert.deepEqual(detail, { peerId: 'p' });
+});
+
+test('a throwing handler doesn\'t stop the others', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const emitter = new UniWRTCEmitter();
+  const seen = [];
+  emitter.on('chat', () => {
+    throw new Error('boom');
+  });
+  emitter.on('chat', (data) => seen.push(data));
+  emitter.emit('chat', 1);
+  assert.deepEqual(seen, [1]);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('events() buffers payloads until read and ends on break', async () => {
+  const emitter = new UniWRTCEmitter();
+  const iterator = emitter.events('chat', { filter: (data) => data !== 'skip' });
+  emitter.emit('chat', 'a');
+  emitter.emit('chat', 'skip');
+  emitter.emit('chat', 'b');
+
+  const seen = [];
+  for await (const data of iterator) {
+    seen.push(data);
+    if (seen.length === 2) break;
+  }
+  assert.deepEqual(seen, ['a', 'b']);
+  // Unsubscribed on break
+  assert.equal(emitter.listeners.get('chat').size, 0);
+  assert.equal(emitter.iterators.size, 0);
+});
+
+test('events() waits for the next payload and ends when its signal aborts', async () => {
+  const emitter = new UniWRTCEmitter();
+  const controller = new AbortController();
+  const iterator = emitter.events('*', { signal: controller.signal });
+
+  const next = iterator.next();
+  emitter.emit('chat', 1);
+  assert.deepEqual(await next, { value: { event: 'chat', data: 1 }, done: false });
+
+  const pending = iterator.next();
+  controller.abort();
+  assert.deepEqual(await pending, { value: undefined, done: true });
+
+  // Already aborted: done from the start
+  const ended = emitter.events('chat', { signal: controller.signal });
+  assert.equal((await ended.next()).done, true);
+});
+
+test('the client\'s iterators end on disconnect()', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const fake = createFakeTransport();
+  const client = createFakeClient(t, fake);
+  await client.connect();
+  const events = client.events('chat');
+  const pending = events.next();
+  client.disconnect();
+  assert.equal((await pending).done, true);
+});
+
+test('signals() yields offers, answers and candidates, optionally from one peer', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const fake = createFakeTransport();
+  const client = createFakeClient(t, fake);
+  await client.connect();
+  const all = client.signals();
+  const fromB = client.signals({ peerId: 'b' });
+
+  fake.current.deliver({ type: 'offer', peerId: 'a', offer: { sdp: 'x' } });
+  fake.current.deliver({ type: 'peer-joined', peerId: 'b', sessionId: 's' });
+  fake.current.deliver({ type: 'ice-candidate', peerId: 'b', candidate: { candidate: 'c' } });
+
+  assert.deepEqual((await all.next()).value, { type: 'offer', peerId: 'a', offer: { sdp: 'x' } });
+  assert.deepEqual((await all.next()).value, { type: 'ice-candidate', peerId: 'b', candidate: { candidate: 'c' } });
+  assert.deepEqual((await fromB.next()).value.type, 'ice-candidate');
+  await all.return();
+  await fromB.return();
+});
+
+test('custom message types are emitted, but client event names can\'t be faked', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const fake = createFakeTransport();
+  const client = createFakeClient(t, fake);
+  await client.connect();
+  const seen = [];
+  client.on('*', (data, event) => seen.push(event));
+
+  fake.current.deliver({ type: 'cursor', x: 1, peerId: 'a' });
+  fake.current.deliver({ type: 'disconnected' });
+  fake.current.deliver({ type: 'removed', clientId: 'me' });
+  assert.deepEqual(seen, ['cursor']);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startServer } from './helpers/server.js';
+
+// An open /api/events stream, parsed into { id, data } events as they arrive
+function openStream(t, url, headers = {}) {
+  const events = [];
+  const waiting = [];
+  let req = null;
+  let buffer = '';
+  let markOpened;
+  const opened = new Promise((resolve) => {
+    markOpened = resolve;
+  });
+
+  // Settles when the server ends the stream or the connection is dropped
+  const ended = new Promise((resolve) => {
+    req = http.get(url, { headers }, (response) => {
+      markOpened();
+      response.setEncoding('utf-8');
+      response.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const fields = Object.fromEntries(block.split('\n').map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+          if (fields.data === undefined) continue;
+          events.push({ id: fields.id, data: JSON.parse(fields.data) });
+          while (waiting.length && waiting[0].count <= events.length) waiting.shift().resolve();
+        }
+      });
+      response.on('end', resolve);
+    });
+    req.on('error', resolve);
+    t.after(() => req.destroy());
+  });
+
+  return {
+    events,
+    opened,
+    ended,
+    close: () => req.destroy(),
+    // Resolves once `count` events have arrived
+    received: (count) => new Promise((resolve) => {
+      if (events.length >= count) return resolve();
+      waiting.push({ count, resolve });
+    })
+  };
+}
+
+async function setup(t) {
+  const server = await startServer(t);
+  const connect = async () => (await server.post('/api/connect?room=r', {})).body.clientId;
+  const a = await connect();
+  const b = await connect();
+  await server.post('/api/join?room=r', { clientId: a, sessionId: 's' });
+  const stream = (clientId, headers) => openStream(t, `${server.base}/api/events?room=r&clientId=${clientId}`, headers);
+  return { ...server, a, b, stream };
+}
+
+test('a stream needs a known clientId', async (t) => {
+  const { get } = await startServer(t);
+  assert.equal((await get('/api/events?room=r')).status, 400);
+  assert.equal((await get('/api/events?room=r&clientId=nobody')).status, 404);
+});
+
+test('queued messages are pushed as events with their seq as the id', { timeout: 5000 }, async (t) => {
+  const { post, a, b, stream } = await setup(t);
+  const events = stream(a);
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  await post('/api/signal?room=r', { clientId: b, sessionId: 's', targetId: a, type: 'offer', offer: { sdp: 'x' } });
+  await events.received(2);
+
+  assert.deepEqual(events.events.map(({ data }) => data.type), ['peer-joined', 'offer']);
+  for (const { id, data } of events.events) assert.equal(id, String(data.seq));
+  assert.equal(events.events[1].data.peerId, b);
+});
+
+test('messages queued before the stream opens are sent when it does', { timeout: 5000 }, async (t) => {
+  const { post, a, b, stream } = await setup(t);
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  const events = stream(a);
+  await events.received(1);
+  assert.equal(events.events[0].data.type, 'peer-joined');
+});
+
+test('a reconnecting stream replays what came after Last-Event-ID', { timeout: 5000 }, async (t) => {
+  const { post, a, b, stream } = await setup(t);
+  const first = stream(a);
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  await post('/api/signal?room=r', { clientId: b, sessionId: 's', targetId: a, type: 'offer', offer: { sdp: 'x' } });
+  await first.received(2);
+
+  // Say the offer was lost with the old connection
+  const second = stream(a, { 'Last-Event-ID': first.events[0].id });
+  await second.received(1);
+  assert.deepEqual(second.events.map(({ data }) => data.type), ['offer']);
+});
+
+test('a new stream for the same client replaces the old one', { timeout: 5000 }, async (t) => {
+  const { post, a, b, stream } = await setup(t);
+  const first = stream(a);
+  await first.opened;
+  const second = stream(a);
+  await first.ended;
+
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  await second.received(1);
+  assert.equal(first.events.length, 0);
+});
+
+test('messages sent on a stream are not polled again', { timeout: 5000 }, async (t) => {
+  const { post, get, a, b, stream } = await setup(t);
+  const events = stream(a);
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  await events.received(1);
+  assert.deepEqual((await get(`/api/poll?room=r&clientId=${a}`)).body.messages, []);
+});
+
+test('messages queued while no stream is open wait in the queue', { timeout: 5000 }, async (t) => {
+  const { post, get, a, b, stream } = await setup(t);
+  const events = stream(a);
+  await events.opened;
+  events.close();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  assert.deepEqual((await get(`/api/poll?room=r&clientId=${a}`)).body.messages.map(({ type }) => type), ['peer-joined']);
+});
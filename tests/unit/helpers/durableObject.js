@@ -0,0 +1,74 @@
+import { Room } from '../../../src/room.js';
+
+// The parts of DurableObjectState the Room uses, with storage in a Map.
+// Values are copied in and out through JSON, like the real storage serializes them.
+export function createFakeState(entries = new Map()) {
+  const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const storage = {
+    entries,
+    alarm: null,
+    // Set to make the next put() reject once
+    failNextPut: false,
+    async get(key) {
+      return copy(entries.get(key));
+    },
+    async put(values) {
+      if (storage.failNextPut) {
+        storage.failNextPut = false;
+        throw new Error('storage unavailable');
+      }
+      for (const [key, value] of Object.entries(values)) entries.set(key, copy(value));
+    },
+    async delete(keys) {
+      for (const key of [].concat(keys)) entries.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      return new Map(Array.from(entries.entries())
+        .filter(([key]) => key.startsWith(prefix))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => [key, copy(value)]));
+    },
+    async getAlarm() {
+      return storage.alarm;
+    },
+    async setAlarm(at) {
+      storage.alarm = at;
+    }
+  };
+
+  let loading = Promise.resolve();
+  return {
+    storage,
+    blockConcurrencyWhile(callback) {
+      loading = callback();
+      return loading;
+    },
+    // Resolves once the constructor's load() has finished
+    loaded: () => loading,
+    getWebSockets: () => [],
+    acceptWebSocket() {}
+  };
+}
+
+// A Room over `state`, ready for requests
+export async function createRoom(state = createFakeState(), env = {}) {
+  const room = new Room(state, env);
+  await state.loaded();
+  return room;
+}
+
+// JSON API calls against a Room, like the Worker forwards them
+export function roomApi(room, roomKey = 'r') {
+  const call = async (method, path, body) => {
+    const response = await room.fetch(new Request(`https://worker.example${path}${path.includes('?') ? '&' : '?'}room=${roomKey}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    }));
+    return { status: response.status, body: await response.json(), headers: response.headers };
+  };
+  return {
+    post: (path, body = {}) => call('POST', path, body),
+    get: (path) => call('GET', path)
+  };
+}
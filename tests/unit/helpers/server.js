@@ -0,0 +1,37 @@
+import { createSignalingServer } from '../../../src/server/signalingServer.js';
+
+export const silentLogger = { log() {} };
+
+// A signaling server on a free local port, closed when the test ends
+export async function startServer(t, options = {}) {
+  const signaling = createSignalingServer({ staticDir: null, logger: silentLogger, ...options });
+  await signaling.listen(0, '127.0.0.1');
+  t.after(() => signaling.close());
+  const base = `http://127.0.0.1:${signaling.server.address().port}`;
+
+  // JSON API calls; resolve with { status, body, headers }
+  async function request(method, path, { body, headers = {} } = {}) {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Plain-text responses (metrics) are returned as they are
+    }
+    return { status: res.status, body: parsed, headers: res.headers };
+  }
+
+  return {
+    signaling,
+    base,
+    request,
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    get: (path, options) => request('GET', path, options),
+    del: (path, options) => request('DELETE', path, options)
+  };
+}
@@ -0,0 +1,60 @@
+import { UniWRTCClient } from '../../../client.js';
+
+// A scripted transport for client tests, plugged in as a transport factory. connect()
+// welcomes the client (under its requested peer ID, if any) and every message sent goes
+// to `onSend(message, transport)`, which may answer with transport.deliver(). drop()
+// ends the connection the way a lost socket would.
+export function createFakeTransport({ clientId = 'me', onSend = () => {} } = {}) {
+  const fake = {
+    // Every message sent, across reconnects
+    sent: [],
+    // The transport the client is using now
+    current: null,
+    connects: 0,
+    // Set to make connect() fail, e.g. while "the server is down"
+    failConnect: false
+  };
+
+  fake.factory = (client, { onMessage, onClose }) => {
+    const transport = {
+      name: 'fake',
+      closed: false,
+      async connect() {
+        if (fake.failConnect) throw new Error('server down');
+        fake.connects += 1;
+        onMessage({ type: 'welcome', clientId: client.requestedPeerId() || clientId });
+      },
+      send(message) {
+        if (transport.closed) return false;
+        fake.sent.push(message);
+        onSend(message, transport);
+        return true;
+      },
+      close() {
+        transport.closed = true;
+      },
+      deliver: (message) => onMessage(message),
+      drop(unsent = [], reason) {
+        transport.closed = true;
+        onClose(unsent, reason);
+      }
+    };
+    fake.current = transport;
+    return transport;
+  };
+  return fake;
+}
+
+// A client on a fake transport, disconnected when the test ends
+export function createFakeClient(t, fake, options = {}) {
+  const client = new UniWRTCClient('http://signal.invalid', { transports: [fake.factory], ...options });
+  t.after(() => client.disconnect());
+  return client;
+}
+
+// Answers joins like the server does
+export function answerJoins(message, transport) {
+  if (message.type === 'join') {
+    transport.deliver({ type: 'joined', sessionId: message.sessionId, clientId: 'me', clients: [], requestId: message.requestId });
+  }
+}
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePollWait } from '../../src/signalingCore.js';
+import { startServer } from './helpers/server.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function setup(t, options) {
+  const server = await startServer(t, options);
+  const connect = async () => (await server.post('/api/connect?room=r', {})).body.clientId;
+  return { ...server, connect };
+}
+
+test('wait is read as whole milliseconds and capped', () => {
+  assert.equal(parsePollWait('2500'), 2500);
+  assert.equal(parsePollWait('999999'), 30_000);
+  for (const raw of [null, '', 'soon', '0', '-5']) assert.equal(parsePollWait(raw), 0);
+});
+
+test('a long-poll is answered as soon as a message is queued', { timeout: 5000 }, async (t) => {
+  const { post, get, connect } = await setup(t);
+  const a = await connect();
+  const b = await connect();
+  await post('/api/join?room=r', { clientId: a, sessionId: 's' });
+
+  const startedAt = Date.now();
+  const poll = get(`/api/poll?room=r&clientId=${a}&wait=3000`);
+  await sleep(100);
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  const { status, body } = await poll;
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.messages.map(({ type, peerId }) => [type, peerId]), [['peer-joined', b]]);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('an idle long-poll returns no messages once the wait is up', { timeout: 5000 }, async (t) => {
+  const { get, connect } = await setup(t);
+  const clientId = await connect();
+
+  const startedAt = Date.now();
+  assert.deepEqual((await get(`/api/poll?room=r&clientId=${clientId}&wait=300`)).body, { messages: [] });
+  assert.ok(Date.now() - startedAt >= 290);
+
+  const quick = Date.now();
+  assert.deepEqual((await get(`/api/poll?room=r&clientId=${clientId}`)).body, { messages: [] });
+  assert.ok(Date.now() - quick < 100);
+});
+
+test('queued messages are returned at once, without waiting', { timeout: 5000 }, async (t) => {
+  const { post, get, connect } = await setup(t);
+  const a = await connect();
+  const b = await connect();
+  await post('/api/join?room=r', { clientId: a, sessionId: 's' });
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+
+  const startedAt = Date.now();
+  const { body } = await get(`/api/poll?room=r&clientId=${a}&wait=3000`);
+  assert.equal(body.messages.length, 1);
+  assert.ok(Date.now() - startedAt < 500);
+});
+
+test('a long-poll for an unknown client is refused straight away', async (t) => {
+  const { get } = await setup(t);
+  assert.equal((await get('/api/poll?room=r&clientId=nobody&wait=3000')).status, 404);
+});
+
+test('a client waiting in a long-poll is not pruned as stale', { timeout: 5000 }, async (t) => {
+  const { get, connect } = await setup(t, { ttlMs: 200 });
+  const clientId = await connect();
+  const poll = get(`/api/poll?room=r&clientId=${clientId}&wait=600`);
+  await sleep(400);
+
+  // Connecting prunes the room
+  await connect();
+  assert.equal((await get('/health?room=r')).body.clients, 2);
+  assert.equal((await poll).status, 200);
+});
+
+test('messages queued after a long-poll is abandoned wait for the next poll', { timeout: 5000 }, async (t) => {
+  const { base, post, get, connect } = await setup(t);
+  const a = await connect();
+  const b = await connect();
+  await post('/api/join?room=r', { clientId: a, sessionId: 's' });
+
+  const controller = new AbortController();
+  const abandoned = fetch(`${base}/api/poll?room=r&clientId=${a}&wait=3000`, { signal: controller.signal }).catch(() => null);
+  await sleep(100);
+  controller.abort();
+  await abandoned;
+  await sleep(50);
+
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  const { body } = await get(`/api/poll?room=r&clientId=${a}`);
+  assert.deepEqual(body.messages.map(({ type }) => type), ['peer-joined']);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UniWRTCMesh, createIdentity } from '../../src/mesh.js';
+
+// Stand-ins for a data channel, an RTCPeerConnection and a simple-peer instance
+const channel = (readyState = 'open') => ({ readyState, sent: [], send(data) { this.sent.push(data); } });
+const connection = (connectionState = 'connected') => ({ connectionState, closed: false, close() { this.closed = true; } });
+const trackerPeer = () => ({ connected: true, sent: [], destroyed: false, send(data) { this.sent.push(data); }, destroy() { this.destroyed = true; } });
+
+function createMesh() {
+  const mesh = new UniWRTCMesh({ room: 'test', nostr: false, tracker: false, gun: false });
+  const logs = [];
+  mesh.on('log', ({ message, level }) => logs.push([level, message]));
+  return { mesh, logs };
+}
+
+test('a room is required and the peer ID is the identity public key', () => {
+  assert.throws(() => new UniWRTCMesh(), /room is required/);
+  const identity = createIdentity();
+  assert.equal(new UniWRTCMesh({ room: 'r', secretKeyHex: identity.secretKeyHex }).peerId, identity.peerId);
+});
+
+test('connect needs at least one signaling source', async () => {
+  const { mesh } = createMesh();
+  await assert.rejects(mesh.connect(), /at least one signaling method/);
+});
+
+test('diagnostics are emitted as log events', () => {
+  const { mesh, logs } = createMesh();
+  mesh.log('hello', 'warning');
+  mesh.log('default level');
+  assert.deepEqual(logs, [['warning', 'hello'], ['info', 'default level']]);
+});
+
+test('exactly one side of a pair initiates', () => {
+  const a = createMesh().mesh;
+  const b = createMesh().mesh;
+  assert.notEqual(a.shouldInitiateWith(b.peerId), b.shouldInitiateWith(a.peerId));
+  assert.equal(a.isPoliteFor(b.peerId), !a.shouldInitiateWith(b.peerId));
+});
+
+test('the first source for a peer wins and the losing connection is closed', () => {
+  const { mesh, logs } = createMesh();
+  let changes = 0;
+  mesh.on('peers', () => changes++);
+
+  const pc = connection();
+  const sp = trackerPeer();
+  mesh.peerConnections.set('peer', pc);
+  mesh.dataChannels.set('peer', channel());
+  mesh.trackerPeers.set('peer', sp);
+
+  mesh.setPreferredSource('peer', 'Nostr');
+  mesh.setPreferredSource('peer', 'Tracker');
+  assert.equal(changes, 1);
+  assert.match(logs.at(-1)[1], /already uses Nostr; ignoring Tracker/);
+
+  assert.deepEqual(mesh.getPeers(), [{ peerId: 'peer', source: 'Nostr' }]);
+  assert.equal(sp.destroyed, true);
+  assert.equal(mesh.trackerPeers.has('peer'), false);
+  assert.equal(pc.closed, false);
+});
+
+test('peers whose preferred connection is down are not listed', () => {
+  const { mesh } = createMesh();
+  mesh.peerConnections.set('peer', connection('failed'));
+  mesh.dataChannels.set('peer', channel('closed'));
+  mesh.setPreferredSource('peer', 'Gun');
+  assert.deepEqual(mesh.getPeers(), []);
+});
+
+test('broadcast and send use open data channels, then tracker peers', () => {
+  const { mesh } = createMesh();
+  const open = channel();
+  const closed = channel('closed');
+  const sp = trackerPeer();
+  mesh.dataChannels.set('a', open);
+  mesh.dataChannels.set('b', closed);
+  mesh.trackerPeers.set('c', sp);
+
+  assert.equal(mesh.broadcast('hi'), 2);
+  assert.deepEqual(open.sent, ['hi']);
+  assert.deepEqual(closed.sent, []);
+  assert.deepEqual(sp.sent, ['hi']);
+
+  assert.equal(mesh.send('c', 'direct'), true);
+  assert.equal(mesh.send('b', 'direct'), false);
+  assert.equal(mesh.send('nobody', 'direct'), false);
+});
+
+test('disconnect closes every connection and shuts hybrid signaling down', () => {
+  const { mesh, logs } = createMesh();
+  const states = [];
+  mesh.on('state', ({ connected }) => states.push(connected));
+  const pc = connection();
+  const sp = trackerPeer();
+  let shutdown = false;
+  mesh.peerConnections.set('a', pc);
+  mesh.trackerPeers.set('b', sp);
+  mesh.hybridSignaling = { shutdown: () => { shutdown = true; } };
+
+  mesh.disconnect();
+  assert.equal(pc.closed, true);
+  assert.equal(sp.destroyed, true);
+  assert.equal(shutdown, true);
+  assert.equal(mesh.hybridSignaling, null);
+  assert.deepEqual(states, [false]);
+  assert.deepEqual(logs.at(-1), ['info', 'Hybrid signaling disconnected']);
+});
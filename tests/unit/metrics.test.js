@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetricsRegistry } from '../../src/server/metrics.js';
+import { startServer } from './helpers/server.js';
+
+// The value of one series in a text exposition, e.g. 'uniwrtc_clients{transport="poll"}'
+function sample(text, series) {
+  const line = text.split('\n').find((entry) => entry.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('the registry renders counters, gauges and histograms', () => {
+  const metrics = createMetricsRegistry();
+  const requests = metrics.counter('requests_total', 'Requests');
+  metrics.gauge('up', 'Up', () => 1);
+  metrics.gauge('clients', 'Clients', () => [[{ transport: 'poll' }, 2], [{ transport: 'sse' }, 0]]);
+  const duration = metrics.histogram('duration_seconds', 'Duration', [0.1, 1]);
+
+  requests.inc({ status: 404 });
+  requests.inc({ status: 404 }, 2);
+  requests.inc({ path: 'a"b\\c\nd' });
+  duration.observe(0.05);
+  duration.observe(0.5);
+  duration.observe(3);
+
+  assert.equal(metrics.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{status="404"} 3',
+    'requests_total{path="a\\"b\\\\c\\nd"} 1',
+    '# HELP up Up',
+    '# TYPE up gauge',
+    'up 1',
+    '# HELP clients Clients',
+    '# TYPE clients gauge',
+    'clients{transport="poll"} 2',
+    'clients{transport="sse"} 0',
+    '# HELP duration_seconds Duration',
+    '# TYPE duration_seconds histogram',
+    'duration_seconds_bucket{le="0.1"} 1',
+    'duration_seconds_bucket{le="1"} 2',
+    'duration_seconds_bucket{le="+Inf"} 3',
+    'duration_seconds_sum 3.55',
+    'duration_seconds_count 3',
+    ''
+  ].join('\n'));
+});
+
+test('/metrics reports rooms, clients, queues and routed messages', async (t) => {
+  const { post, get } = await startServer(t);
+  const connect = async (room) => (await post(`/api/connect?room=${room}`, {})).body.clientId;
+  const a = await connect('r');
+  const b = await connect('r');
+  await connect('other');
+  await post('/api/join?room=r', { clientId: a, sessionId: 's' });
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  await post('/api/signal?room=r', { clientId: b, sessionId: 's', targetId: a, type: 'offer', offer: { sdp: 'x' } });
+  await post('/api/signal?room=r', { clientId: b, sessionId: 's', targetId: a, type: 'ice-candidate', candidate: {} });
+  await post('/api/signal?room=r', { clientId: b, sessionId: 's', targetId: a, type: 'chat', text: 'hi' });
+  // Refused, so not counted as routed
+  await post('/api/signal?room=r', { clientId: b, sessionId: 's', targetId: 'nobody', type: 'offer' });
+
+  const { status, headers, body } = await get('/metrics');
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  assert.equal(sample(body, 'uniwrtc_rooms'), 2);
+  assert.equal(sample(body, 'uniwrtc_sessions'), 1);
+  assert.equal(sample(body, 'uniwrtc_clients{transport="poll"}'), 3);
+  assert.equal(sample(body, 'uniwrtc_clients{transport="websocket"}'), 0);
+  // peer-joined for a, plus the three signals
+  assert.equal(sample(body, 'uniwrtc_queue_messages'), 4);
+  assert.ok(sample(body, 'uniwrtc_queue_bytes') > 0);
+  assert.equal(sample(body, 'uniwrtc_messages_routed_total{type="offer"}'), 1);
+  assert.equal(sample(body, 'uniwrtc_messages_routed_total{type="ice"}'), 1);
+  assert.equal(sample(body, 'uniwrtc_messages_routed_total{type="custom"}'), 1);
+  assert.equal(sample(body, 'uniwrtc_api_errors_total{status="404"}'), 1);
+});
+
+test('/metrics counts pruned clients and times polls', { timeout: 5000 }, async (t) => {
+  const { post, get } = await startServer(t, { ttlMs: 100 });
+  const { body: { clientId } } = await post('/api/connect?room=r', {});
+  await get(`/api/poll?room=r&clientId=${clientId}&wait=200`);
+  await new Promise((resolve) => setTimeout(resolve, 150));
+
+  const { body } = await get('/metrics');
+  assert.equal(sample(body, 'uniwrtc_pruned_clients_total{reason="timeout"}'), 1);
+  assert.equal(sample(body, 'uniwrtc_clients{transport="poll"}'), 0);
+  assert.equal(sample(body, 'uniwrtc_poll_duration_seconds_count'), 1);
+  assert.equal(sample(body, 'uniwrtc_poll_duration_seconds_bucket{le="0.05"}'), 0);
+  assert.equal(sample(body, 'uniwrtc_poll_duration_seconds_bucket{le="0.25"}'), 1);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import WebSocket from 'ws';
+import { createSignalingServer, createMemoryStore } from '../../src/server/signalingServer.js';
+import { silentLogger } from './helpers/server.js';
+
+// A host app on a free port that hands requests to `onRequest` and upgrades to `onUpgrade`
+async function startHost(t, onRequest, onUpgrade) {
+  const host = http.createServer(onRequest);
+  if (onUpgrade) host.on('upgrade', onUpgrade);
+  await new Promise((resolve) => host.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => {
+    host.close(resolve);
+    host.closeAllConnections();
+  }));
+  return `http://127.0.0.1:${host.address().port}`;
+}
+
+function createSignaling(t, options = {}) {
+  const signaling = createSignalingServer({ staticDir: null, logger: silentLogger, ...options });
+  t.after(() => signaling.close());
+  return signaling;
+}
+
+const postJson = (url, body) => fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+test('the handler serves the API under basePath and passes other paths to next()', async (t) => {
+  const signaling = createSignaling(t, { basePath: '/signal/' });
+  const base = await startHost(t, (req, res) => {
+    signaling.handler(req, res, () => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('host app');
+    });
+  });
+
+  const connected = await postJson(`${base}/signal/api/connect?room=r`, {});
+  assert.equal((await connected.json()).type, 'welcome');
+  assert.equal((await (await fetch(`${base}/signal/health?room=r`)).json()).clients, 1);
+  assert.equal(await (await fetch(`${base}/api/connect`)).text(), 'host app');
+  assert.equal(await (await fetch(`${base}/signalling`)).text(), 'host app');
+});
+
+test('without next(), paths outside basePath get a 404', async (t) => {
+  const signaling = createSignaling(t, { basePath: '/signal' });
+  const base = await startHost(t, (req, res) => signaling.handler(req, res));
+  assert.equal((await fetch(`${base}/elsewhere`)).status, 404);
+  assert.equal((await fetch(`${base}/signal/health`)).status, 200);
+});
+
+test('an Express-style mount, which strips the path itself, works too', async (t) => {
+  const signaling = createSignaling(t, { basePath: '/signal' });
+  // What app.use('/signal', handler) hands over: req.url without the mount path
+  const base = await startHost(t, (req, res) => {
+    req.originalUrl = req.url;
+    req.url = req.url.slice('/signal'.length) || '/';
+    signaling.handler(req, res, () => res.end('next'));
+  });
+  const connected = await postJson(`${base}/signal/api/connect?room=r`, {});
+  assert.equal((await connected.json()).type, 'welcome');
+});
+
+test('handleUpgrade takes WebSockets under basePath and leaves the rest', { timeout: 5000 }, async (t) => {
+  const signaling = createSignaling(t, { basePath: '/signal' });
+  const declined = [];
+  const base = await startHost(t, (req, res) => signaling.handler(req, res), (req, socket, head) => {
+    if (signaling.handleUpgrade(req, socket, head)) return;
+    declined.push(req.url);
+    socket.destroy();
+  });
+  const wsBase = base.replace('http', 'ws');
+
+  const ws = new WebSocket(`${wsBase}/signal?room=r`);
+  t.after(() => ws.terminate());
+  const welcome = await new Promise((resolve) => ws.once('message', (data) => resolve(JSON.parse(data.toString()))));
+  assert.equal(welcome.type, 'welcome');
+
+  const other = new WebSocket(`${wsBase}/chat`);
+  await new Promise((resolve) => other.once('error', resolve));
+  assert.deepEqual(declined, ['/chat']);
+});
+
+test('listen() resolves with the bound server and close() ends open long-polls', { timeout: 5000 }, async (t) => {
+  const signaling = createSignalingServer({ staticDir: null, logger: silentLogger });
+  const server = await signaling.listen(0, '127.0.0.1');
+  assert.equal(server, signaling.server);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const { clientId } = await (await postJson(`${base}/api/connect?room=r`, {})).json();
+  const poll = fetch(`${base}/api/poll?room=r&clientId=${clientId}&wait=20000`);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const startedAt = Date.now();
+  await signaling.close();
+  assert.deepEqual(await (await poll).json(), { messages: [] });
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.equal(server.listening, false);
+});
+
+test('a closed server leaves its rooms in the store for the next one', async (t) => {
+  const store = createMemoryStore();
+  const first = createSignalingServer({ staticDir: null, logger: silentLogger, store });
+  await first.listen(0, '127.0.0.1');
+  const { clientId } = await (await postJson(`http://127.0.0.1:${first.server.address().port}/api/connect?room=r`, {})).json();
+  await first.close();
+
+  const second = createSignaling(t, { store });
+  const base = await startHost(t, (req, res) => second.handler(req, res));
+  assert.equal((await fetch(`${base}/api/poll?room=r&clientId=${clientId}`)).status, 200);
+});
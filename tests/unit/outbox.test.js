@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeTransport, createFakeClient, answerJoins } from './helpers/transport.js';
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+// Answers joins and acks everything else that asks for it
+function server(message, transport) {
+  if (message.type === 'join') return answerJoins(message, transport);
+  if (message.requestId !== undefined) transport.deliver({ type: 'ack', requestId: message.requestId });
+}
+
+// A client in session s whose connection has just dropped, with the server down
+async function droppedClient(t, options = {}) {
+  quiet(t);
+  const fake = createFakeTransport({ onSend: server });
+  const client = createFakeClient(t, fake, { reconnectDelay: 10, ...options });
+  await client.connect();
+  await client.joinSession('s');
+  fake.failConnect = true;
+  fake.current.drop();
+  fake.sent.length = 0;
+  return { fake, client };
+}
+
+function recordDropped(client) {
+  const dropped = [];
+  client.on('dropped', ({ message, reason }) => dropped.push([message.type, reason]));
+  return dropped;
+}
+
+test('messages sent while reconnecting go out in order after the rejoin', { timeout: 5000 }, async (t) => {
+  const { fake, client } = await droppedClient(t);
+  const offer = client.sendOffer({ sdp: 'x' }, 'peer');
+  client.send({ type: 'cursor', x: 1 });
+  assert.equal(client.outbox.length, 2);
+
+  fake.failConnect = false;
+  const reconnected = await client.once('reconnected');
+  assert.equal(reconnected.sessionId, 's');
+  assert.deepEqual(fake.sent.map(({ type }) => type), ['join', 'offer', 'cursor']);
+  await offer;
+  assert.equal(client.outbox.length, 0);
+});
+
+test('messages the transport couldn\'t deliver are held ahead of newer ones', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const fake = createFakeTransport({ onSend: server });
+  const client = createFakeClient(t, fake, { reconnectDelay: 10 });
+  await client.connect();
+  fake.failConnect = true;
+  fake.current.drop([{ type: 'cursor', x: 1 }]);
+  client.send({ type: 'cursor', x: 2 });
+  assert.deepEqual(client.outbox.map(({ message }) => message.x), [1, 2]);
+
+  fake.failConnect = false;
+  await client.once('reconnected');
+  assert.deepEqual(fake.sent.map(({ x }) => x), [1, 2]);
+});
+
+test('a full outbox drops its oldest message', { timeout: 5000 }, async (t) => {
+  const { client } = await droppedClient(t, { maxQueueSize: 2 });
+  const dropped = recordDropped(client);
+  const offer = client.sendOffer({ sdp: 'x' }, 'peer');
+  client.send({ type: 'cursor', x: 1 });
+  client.send({ type: 'cursor', x: 2 });
+
+  assert.deepEqual(dropped, [['offer', 'overflow']]);
+  await assert.rejects(offer, /dropped from the outbox \(overflow\)/);
+  assert.deepEqual(client.outbox.map(({ message }) => message.x), [1, 2]);
+});
+
+test('messages older than maxQueueAge are dropped instead of sent', { timeout: 5000 }, async (t) => {
+  const { fake, client } = await droppedClient(t, { maxQueueAge: 50 });
+  const dropped = recordDropped(client);
+  client.send({ type: 'cursor', x: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 80));
+
+  fake.failConnect = false;
+  await client.once('reconnected');
+  assert.deepEqual(dropped, [['cursor', 'expired']]);
+  assert.deepEqual(fake.sent.map(({ type }) => type), ['join']);
+});
+
+test('with maxQueueSize 0 nothing is held', { timeout: 5000 }, async (t) => {
+  const { client } = await droppedClient(t, { maxQueueSize: 0 });
+  const dropped = recordDropped(client);
+  client.send({ type: 'cursor', x: 1 });
+  await assert.rejects(client.sendOffer({ sdp: 'x' }, 'peer'), /Not connected/);
+  assert.deepEqual(dropped, [['cursor', 'disconnected']]);
+});
+
+test('disconnect() drops what is held', { timeout: 5000 }, async (t) => {
+  const { client } = await droppedClient(t);
+  const dropped = recordDropped(client);
+  const offer = client.sendOffer({ sdp: 'x' }, 'peer');
+  client.disconnect();
+  assert.deepEqual(dropped, [['offer', 'disconnected']]);
+  await assert.rejects(offer, /dropped from the outbox/);
+});
+
+test('a client the server removed doesn\'t reconnect or keep its outbox', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const fake = createFakeTransport({ onSend: server });
+  const client = createFakeClient(t, fake, { reconnectDelay: 10 });
+  await client.connect();
+  await client.joinSession('s');
+
+  const removed = client.once('removed');
+  fake.current.drop([{ type: 'cursor', x: 1 }], 'removed');
+  assert.deepEqual(await removed, { clientId: 'me' });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(fake.connects, 1);
+  assert.deepEqual(client.outbox, []);
+  assert.equal(client.sessionId, null);
+});
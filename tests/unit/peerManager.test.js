@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UniWRTCEmitter } from '../../client.js';
+import { UniWRTCRoom } from '../../src/peerManager.js';
+
+// Just enough of RTCPeerConnection and RTCDataChannel for the negotiation logic
+class FakeChannel {
+  constructor(label) {
+    this.label = label;
+    this.readyState = 'connecting';
+    this.sent = [];
+  }
+  send(data) {
+    this.sent.push(data);
+  }
+  open() {
+    this.readyState = 'open';
+    this.onopen?.();
+  }
+  close() {
+    this.readyState = 'closed';
+  }
+}
+
+class FakePeerConnection {
+  constructor() {
+    this.connectionState = 'new';
+    this.signalingState = 'stable';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.candidates = [];
+    this.channels = [];
+  }
+  createDataChannel(label) {
+    const channel = new FakeChannel(label);
+    this.channels.push(channel);
+    return channel;
+  }
+  async setLocalDescription() {
+    const answering = this.signalingState === 'have-remote-offer';
+    this.localDescription = { type: answering ? 'answer' : 'offer', sdp: 'local' };
+    this.signalingState = answering ? 'stable' : 'have-local-offer';
+  }
+  async setRemoteDescription(description) {
+    // Like the real thing, the description only takes effect once the operation completes
+    await null;
+    this.remoteDescription = description;
+    this.signalingState = description.type === 'offer' ? 'have-remote-offer' : 'stable';
+  }
+  async addIceCandidate(candidate) {
+    this.candidates.push(candidate);
+  }
+  close() {
+    this.connectionState = 'closed';
+  }
+}
+
+class FakeClient extends UniWRTCEmitter {
+  constructor(clientId) {
+    super();
+    this.clientId = clientId;
+    this.sent = [];
+  }
+  async sendOffer(offer, peerId) {
+    this.sent.push(['offer', peerId, offer]);
+  }
+  async sendAnswer(answer, peerId) {
+    this.sent.push(['answer', peerId, answer]);
+  }
+  async sendIceCandidate(candidate, peerId) {
+    this.sent.push(['ice-candidate', peerId, candidate]);
+  }
+  async leaveSession() {}
+}
+
+function setup(clientId = 'b') {
+  const client = new FakeClient(clientId);
+  const room = new UniWRTCRoom(client, { RTCPeerConnection: FakePeerConnection });
+  return { client, room };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('joined connects to every member and the impolite side opens the channel', () => {
+  const { client, room } = setup('b');
+  client.emit('joined', { clients: ['a', 'c', 'b'] });
+
+  assert.deepEqual(Array.from(room.connections.keys()), ['a', 'c']);
+  // b sorts after a (polite to it) and before c
+  assert.equal(room.connections.get('a').polite, true);
+  assert.equal(room.connection('a').channels.length, 0);
+  assert.equal(room.connections.get('c').polite, false);
+  assert.equal(room.connection('c').channels.length, 1);
+});
+
+test('an offer from a new peer is answered', async () => {
+  const { client, room } = setup('b');
+  client.emit('offer', { peerId: 'a', offer: { type: 'offer', sdp: 'remote' } });
+  await tick();
+
+  assert.deepEqual(room.connection('a').remoteDescription, { type: 'offer', sdp: 'remote' });
+  assert.deepEqual(client.sent, [['answer', 'a', { type: 'answer', sdp: 'local' }]]);
+});
+
+test('an answer or candidate from an unknown peer is dropped', async () => {
+  const { client, room } = setup('b');
+  client.emit('answer', { peerId: 'a', answer: { type: 'answer', sdp: 'x' } });
+  client.emit('ice-candidate', { peerId: 'a', candidate: { candidate: 'c1' } });
+  await tick();
+  assert.equal(room.connections.size, 0);
+});
+
+test('candidates that arrive before the description are applied after it', async () => {
+  const { client, room } = setup('b');
+  client.emit('peer-joined', { peerId: 'a' });
+  client.emit('ice-candidate', { peerId: 'a', candidate: { candidate: 'c1' } });
+  await tick();
+  assert.deepEqual(room.connection('a').candidates, []);
+
+  client.emit('offer', { peerId: 'a', offer: { type: 'offer', sdp: 'remote' } });
+  client.emit('ice-candidate', { peerId: 'a', candidate: { candidate: 'c2' } });
+  await tick();
+  assert.deepEqual(room.connection('a').candidates.map((c) => c.candidate), ['c1', 'c2']);
+});
+
+test('the impolite side ignores an offer that collides with its own', async () => {
+  const { client, room } = setup('a');
+  client.emit('peer-joined', { peerId: 'b' });
+  const pc = room.connection('b');
+  await pc.setLocalDescription();
+
+  client.emit('offer', { peerId: 'b', offer: { type: 'offer', sdp: 'remote' } });
+  await tick();
+  assert.equal(pc.remoteDescription, null);
+  assert.equal(room.connections.get('b').ignoreOffer, true);
+});
+
+test('open channels are announced, used and torn down with peer-left', () => {
+  const { client, room } = setup('a');
+  const events = [];
+  room.on('peer', ({ peerId }) => events.push(['peer', peerId]));
+  room.on('peer-left', ({ peerId }) => events.push(['peer-left', peerId]));
+  room.on('data', ({ peerId, data }) => events.push(['data', peerId, data]));
+
+  client.emit('peer-joined', { peerId: 'b' });
+  const [channel] = room.connection('b').channels;
+  assert.equal(room.send('b', 'early'), false);
+  channel.open();
+  assert.deepEqual(room.peers, ['b']);
+  assert.equal(room.broadcast('hi'), 1);
+  assert.deepEqual(channel.sent, ['hi']);
+  channel.onmessage({ data: 'reply' });
+
+  client.emit('peer-left', { peerId: 'b' });
+  assert.deepEqual(events, [['peer', 'b'], ['data', 'b', 'reply'], ['peer-left', 'b']]);
+  assert.equal(room.connections.size, 0);
+});
+
+test('a closed session closes every connection', () => {
+  const { client, room } = setup('b');
+  client.emit('joined', { clients: ['a', 'c'] });
+  const connections = ['a', 'c'].map((peerId) => room.connection(peerId));
+  client.emit('session-closed', { sessionId: 's' });
+  assert.equal(room.connections.size, 0);
+  assert.ok(connections.every((pc) => pc.connectionState === 'closed'));
+});
+
+test('close stops listening to the client', async () => {
+  const { client, room } = setup('b');
+  await room.close();
+  client.emit('peer-joined', { peerId: 'a' });
+  assert.equal(room.connections.size, 0);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { UniWRTCClient } from '../../client.js';
+import { createRoom, roomApi } from './helpers/durableObject.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A stand-in server whose /api/poll answers with `answerPoll(count)` at once, ignoring ?wait=
+async function startPollServer(t, answerPoll) {
+  const polls = [];
+  const server = http.createServer((req, res) => {
+    const reply = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+    if (req.url.startsWith('/api/connect')) return reply(200, { type: 'welcome', clientId: 'c1' });
+    if (req.url.startsWith('/api/poll')) {
+      polls.push(Date.now());
+      const [status, body, headers] = answerPoll(polls.length);
+      return reply(status, body, headers);
+    }
+    reply(200, { ok: true });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { base: `http://127.0.0.1:${server.address().port}`, polls };
+}
+
+async function pollingClient(t, base) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const client = new UniWRTCClient(base, { transport: 'polling', pollWait: 25000, reconnectDelay: 100 });
+  t.after(() => client.disconnect());
+  await client.connect();
+  return client;
+}
+
+test('empty polls answered early are backed off instead of repeated at once', { timeout: 5000 }, async (t) => {
+  const { base, polls } = await startPollServer(t, () => [200, { messages: [] }]);
+  await pollingClient(t, base);
+  await sleep(1700);
+
+  // Polls at about 0, 0.5s and 1.5s, instead of hundreds
+  assert.ok(polls.length >= 2 && polls.length <= 4, `${polls.length} polls`);
+  assert.ok(polls[2] - polls[1] > polls[1] - polls[0], 'the delay grows');
+});
+
+test('a poll with messages resets the backoff', { timeout: 5000 }, async (t) => {
+  const { base, polls } = await startPollServer(t, (count) => [200, { messages: count === 2 ? [{ type: 'custom', seq: 1 }] : [] }]);
+  const client = await pollingClient(t, base);
+  const received = client.once('custom');
+  await received;
+  await sleep(700);
+  // 0, 0.5s (messages), then straight away and 0.5s later
+  assert.ok(polls.length >= 4, `${polls.length} polls`);
+  assert.ok(polls[2] - polls[1] < 200);
+});
+
+test('a 429 is retried after its Retry-After', { timeout: 5000 }, async (t) => {
+  const { base, polls } = await startPollServer(t, (count) => (count === 1
+    ? [429, { message: 'Too many requests' }, { 'Retry-After': '2' }]
+    : [200, { messages: [{ type: 'custom', seq: count }] }]));
+  const client = await pollingClient(t, base);
+  await client.once('custom');
+  assert.ok(polls[1] - polls[0] >= 1950, `retried after ${polls[1] - polls[0]}ms`);
+});
+
+test('the Worker room holds a poll until a message is queued', { timeout: 5000 }, async (t) => {
+  const room = await createRoom();
+  const api = roomApi(room);
+  const { body: { clientId: a } } = await api.post('/api/connect');
+  const { body: { clientId: b } } = await api.post('/api/connect');
+  await api.post('/api/join', { clientId: a, sessionId: 's' });
+
+  const startedAt = Date.now();
+  const poll = api.get(`/api/poll?clientId=${a}&wait=2000`);
+  await sleep(100);
+  await api.post('/api/join', { clientId: b, sessionId: 's' });
+  const { status, body } = await poll;
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.messages.map(({ type, peerId }) => [type, peerId]), [['peer-joined', b]]);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('the Worker room answers an idle long-poll when the wait is up', { timeout: 5000 }, async (t) => {
+  const room = await createRoom();
+  const api = roomApi(room);
+  const { body: { clientId } } = await api.post('/api/connect');
+
+  const startedAt = Date.now();
+  const { body } = await api.get(`/api/poll?clientId=${clientId}&wait=300`);
+  assert.deepEqual(body.messages, []);
+  assert.ok(Date.now() - startedAt >= 290);
+
+  // Without wait, a poll is answered at once
+  const quick = Date.now();
+  await api.get(`/api/poll?clientId=${clientId}`);
+  assert.ok(Date.now() - quick < 100);
+});
+
+test('a client waiting in a Worker long-poll is not pruned', { timeout: 5000 }, async (t) => {
+  const room = await createRoom(undefined, { CLIENT_TTL_MS: '100' });
+  const api = roomApi(room);
+  const { body: { clientId } } = await api.post('/api/connect');
+  const poll = api.get(`/api/poll?clientId=${clientId}&wait=400`);
+  await sleep(250);
+  await room.alarm();
+  assert.equal(room.room.clients.has(clientId), true);
+  assert.equal((await poll).status, 200);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, parseRateLimits, limitsByIp, DEFAULT_RATE_LIMITS } from '../../src/rateLimit.js';
+
+const limits = { join: { capacity: 2, refillPerSecond: 1 }, poll: null };
+
+test('a bucket allows its capacity, then reports when to retry', () => {
+  const limiter = createRateLimiter({ limits });
+  assert.equal(limiter.take('join', ['ip:1'], 0).allowed, true);
+  assert.equal(limiter.take('join', ['ip:1'], 0).allowed, true);
+  assert.deepEqual(limiter.take('join', ['ip:1'], 0), { allowed: false, retryAfter: 1 });
+});
+
+test('buckets refill over time up to their capacity', () => {
+  const limiter = createRateLimiter({ limits });
+  limiter.take('join', ['ip:1'], 0);
+  limiter.take('join', ['ip:1'], 0);
+  assert.equal(limiter.take('join', ['ip:1'], 1000).allowed, true);
+  assert.equal(limiter.take('join', ['ip:1'], 1000).allowed, false);
+
+  // A long pause refills to capacity, not beyond
+  assert.equal(limiter.take('join', ['ip:1'], 60_000).allowed, true);
+  assert.equal(limiter.take('join', ['ip:1'], 60_000).allowed, true);
+  assert.equal(limiter.take('join', ['ip:1'], 60_000).allowed, false);
+});
+
+test('keys and endpoints have separate buckets', () => {
+  const limiter = createRateLimiter({ limits: { ...limits, leave: { capacity: 1, refillPerSecond: 1 } } });
+  limiter.take('join', ['ip:1'], 0);
+  limiter.take('join', ['ip:1'], 0);
+  assert.equal(limiter.take('join', ['ip:2'], 0).allowed, true);
+  assert.equal(limiter.take('leave', ['ip:1'], 0).allowed, true);
+});
+
+test('nothing is taken unless every key has a token', () => {
+  const limiter = createRateLimiter({ limits });
+  limiter.take('join', ['client:a'], 0);
+  limiter.take('join', ['client:a'], 0);
+  assert.equal(limiter.take('join', ['ip:1', 'client:a'], 0).allowed, false);
+
+  // ip:1 was not charged by the refused request
+  assert.equal(limiter.take('join', ['ip:1'], 0).allowed, true);
+  assert.equal(limiter.take('join', ['ip:1'], 0).allowed, true);
+});
+
+test('empty keys are skipped and unlimited endpoints always pass', () => {
+  const limiter = createRateLimiter({ limits });
+  for (let i = 0; i < 5; i++) {
+    assert.equal(limiter.take('join', [null, undefined, false], 0).allowed, true);
+    assert.equal(limiter.take('poll', ['ip:1'], 0).allowed, true);
+    assert.equal(limiter.take('unknown', ['ip:1'], 0).allowed, true);
+  }
+});
+
+test('reset forgets every bucket', () => {
+  const limiter = createRateLimiter({ limits });
+  limiter.take('join', ['ip:1'], 0);
+  limiter.take('join', ['ip:1'], 0);
+  limiter.reset();
+  assert.equal(limiter.take('join', ['ip:1'], 0).allowed, true);
+});
+
+test('past maxBuckets the least recently used bucket is dropped', () => {
+  const limiter = createRateLimiter({ limits, maxBuckets: 2 });
+  limiter.take('join', ['ip:1'], 0);
+  limiter.take('join', ['ip:1'], 0);
+  limiter.take('join', ['ip:2'], 0);
+  limiter.take('join', ['ip:2'], 0);
+  // ip:1 was used last, so ip:2 goes to make room for ip:3
+  limiter.take('join', ['ip:1'], 0);
+  assert.equal(limiter.take('join', ['ip:3'], 0).allowed, true);
+  assert.equal(limiter.take('join', ['ip:1'], 0).allowed, false);
+  assert.equal(limiter.take('join', ['ip:2'], 0).allowed, true);
+});
+
+test('parseRateLimits merges overrides over the defaults', () => {
+  assert.deepEqual(parseRateLimits(), DEFAULT_RATE_LIMITS);
+  const parsed = parseRateLimits('{"signal":{"capacity":1,"refillPerSecond":1},"poll":null}');
+  assert.deepEqual(parsed.signal, { capacity: 1, refillPerSecond: 1 });
+  assert.equal(parsed.poll, null);
+  assert.deepEqual(parsed.join, DEFAULT_RATE_LIMITS.join);
+  assert.throws(() => parseRateLimits('{nope'), /RATE_LIMITS/);
+});
+
+test('set-id is only limited per client', () => {
+  assert.equal(limitsByIp('set-id'), false);
+  assert.equal(limitsByIp('connect'), true);
+  assert.equal(limitsByIp('signal'), true);
+});
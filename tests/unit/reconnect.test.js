@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { UniWRTCClient } from '../../client.js';
+import { createMemoryAdapter } from '../../src/server/adapter.js';
+import { startServer } from './helpers/server.js';
+import { createFakeTransport, createFakeClient, answerJoins } from './helpers/transport.js';
+
+const auth = { headers: { Authorization: 'Bearer admin-secret' } };
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+async function connectedClient(t, base, options = {}) {
+  const client = new UniWRTCClient(base, { roomId: 'r', reconnectDelay: 20, pollWait: 1000, ...options });
+  t.after(() => client.disconnect());
+  await client.connect();
+  return client;
+}
+
+// Records the events that matter for reconnecting
+function recordEvents(client) {
+  const events = [];
+  for (const name of ['disconnected', 'reconnecting', 'reconnected', 'removed']) {
+    client.on(name, () => events.push(name));
+  }
+  return events;
+}
+
+test('a dropped WebSocket reconnects with the same ID and rejoins its session', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const { base, post, get } = await startServer(t);
+  const client = await connectedClient(t, base);
+  await client.joinSession('s');
+  const clientId = client.clientId;
+  const events = recordEvents(client);
+
+  // Removing the client server-side closes its socket with 1000
+  const reconnected = client.once('reconnected');
+  await post('/api/leave?room=r', { clientId });
+  const details = await reconnected;
+
+  assert.equal(details.clientId, clientId);
+  assert.equal(details.previousClientId, clientId);
+  assert.equal(details.sessionId, 's');
+  assert.deepEqual(events, ['disconnected', 'reconnecting', 'reconnected']);
+  const { body } = await get('/health?room=r');
+  assert.equal(body.clients, 1);
+});
+
+test('a kicked WebSocket client stops and emits removed', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const { base, del } = await startServer(t, { adminToken: 'admin-secret' });
+  const client = await connectedClient(t, base);
+  await client.joinSession('s');
+  const events = recordEvents(client);
+
+  const removed = client.once('removed');
+  await del(`/admin/rooms/r/clients/${client.clientId}`, auth);
+  assert.deepEqual(await removed, { clientId: client.clientId });
+  await sleep(100);
+
+  assert.deepEqual(events, ['removed', 'disconnected']);
+  assert.equal(client.transport, null);
+  assert.equal(client.sessionId, null);
+  assert.equal(client.reconnectTimer, null);
+});
+
+test('a kicked polling client stops and emits removed', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const { base, del } = await startServer(t, { adminToken: 'admin-secret' });
+  const client = await connectedClient(t, base, { transport: 'polling' });
+  const events = recordEvents(client);
+
+  const removed = client.once('removed');
+  await del(`/admin/rooms/r/clients/${client.clientId}`, auth);
+  await removed;
+  await sleep(100);
+  assert.deepEqual(events, ['removed', 'disconnected']);
+  assert.equal(client.transport, null);
+});
+
+test('an event stream gets a last removed message, then 410', { timeout: 5000 }, async (t) => {
+  const { base, post, get, del } = await startServer(t, { adminToken: 'admin-secret' });
+  const { body: { clientId } } = await post('/api/connect?room=r', {});
+
+  const received = new Promise((resolve, reject) => {
+    http.get(`${base}/api/events?room=r&clientId=${clientId}`, (res) => {
+      let text = '';
+      res.on('data', (chunk) => {
+        text += chunk;
+        // Kick once the stream is open
+        if (text.startsWith('retry:') && !text.includes('removed')) del(`/admin/rooms/r/clients/${clientId}`, auth);
+      });
+      res.on('end', () => resolve(text));
+    }).on('error', reject);
+  });
+  const text = await received;
+  assert.match(text, /data: \{"type":"removed","message":"Removed by an administrator"\}/);
+  assert.equal((await get(`/api/events?room=r&clientId=${clientId}`)).status, 410);
+});
+
+test('a kick made on another cluster node closes the socket with 4403', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const hub = new Map();
+  const nodeA = await startServer(t, { adminToken: 'admin-secret', nodeId: 'a', adapter: createMemoryAdapter({ hub }) });
+  const nodeB = await startServer(t, { nodeId: 'b', adapter: createMemoryAdapter({ hub }) });
+  const client = await connectedClient(t, nodeB.base);
+  const events = recordEvents(client);
+
+  // Wait for node a to learn about the client
+  const path = `/admin/rooms/r/clients/${client.clientId}`;
+  for (let i = 0; i < 50 && (await nodeA.get(path, auth)).status !== 200; i++) await sleep(10);
+
+  const removed = client.once('removed');
+  assert.equal((await nodeA.del(path, auth)).status, 200);
+  await removed;
+  await sleep(100);
+  assert.deepEqual(events, ['removed', 'disconnected']);
+});
+
+test('reconnect attempts back off and give up after maxReconnectAttempts', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const fake = createFakeTransport({ onSend: answerJoins });
+  const client = createFakeClient(t, fake, { reconnectDelay: 10, maxReconnectDelay: 30, maxReconnectAttempts: 3 });
+  await client.connect();
+  const attempts = [];
+  client.on('reconnecting', ({ attempt, delay }) => attempts.push([attempt, delay]));
+  const dropped = [];
+  client.on('dropped', ({ reason }) => dropped.push(reason));
+
+  fake.failConnect = true;
+  fake.current.drop();
+  client.send({ type: 'cursor', x: 1 });
+  const { message } = await client.once('error');
+
+  assert.equal(message, 'Gave up reconnecting after 3 attempts');
+  // Half to all of 10, 20 and then 40 capped at 30ms
+  assert.deepEqual(attempts.map(([attempt]) => attempt), [1, 2, 3]);
+  const ceilings = [10, 20, 30];
+  attempts.forEach(([, delay], i) => assert.ok(delay >= ceilings[i] / 2 && delay <= ceilings[i], `${delay}ms against ${ceilings[i]}ms`));
+  assert.deepEqual(dropped, ['disconnected']);
+  assert.equal(client.reconnectTimer, null);
+});
+
+test('a reconnect asks for the same ID and rejoins before reporting reconnected', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const fake = createFakeTransport({ clientId: 'first', onSend: answerJoins });
+  const client = createFakeClient(t, fake, { reconnectDelay: 10 });
+  await client.connect();
+  await client.joinSession('s');
+  fake.sent.length = 0;
+
+  fake.current.drop();
+  const details = await client.once('reconnected');
+  assert.deepEqual(details, { clientId: 'first', previousClientId: 'first', sessionId: 's', transport: 'fake', attempts: 1 });
+  assert.deepEqual(fake.sent.map(({ type, sessionId }) => [type, sessionId]), [['join', 's']]);
+});
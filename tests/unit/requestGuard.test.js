@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signAccessToken } from '../../src/auth.js';
+import { createRateLimiter } from '../../src/rateLimit.js';
+import { createRequestGuard } from '../../src/requestGuard.js';
+import { startServer } from './helpers/server.js';
+import { createRoom, roomApi } from './helpers/durableObject.js';
+
+const SECRET = 'test-secret';
+const limits = { join: { capacity: 1, refillPerSecond: 0.1 }, 'set-id': { capacity: 5, refillPerSecond: 1 }, connect: { capacity: 1, refillPerSecond: 0.1 } };
+
+function guardFor(options = {}) {
+  return createRequestGuard({ rateLimiter: createRateLimiter({ limits }), ...options });
+}
+
+function apiRequest({ endpoint = 'join', body = {}, query = '', authorization = null, ip = '203.0.113.7' } = {}) {
+  let read = false;
+  return {
+    request: {
+      endpoint,
+      room: 'r',
+      ip,
+      authorization,
+      searchParams: new URLSearchParams(query),
+      readBody: async () => {
+        read = true;
+        return body;
+      }
+    },
+    wasRead: () => read
+  };
+}
+
+test('without a secret only the rate limits apply', async () => {
+  const guard = guardFor();
+  assert.deepEqual(await guard.checkRequest(apiRequest({ body: { clientId: 'a' } }).request), { claims: null, body: { clientId: 'a' } });
+
+  // The IP's bucket is empty now, and the body is never read
+  const second = apiRequest({ body: { clientId: 'b' } });
+  assert.deepEqual(await guard.checkRequest(second.request), { rejected: { status: 429, message: 'Too many requests', retryAfter: 10 } });
+  assert.equal(second.wasRead(), false);
+});
+
+test('set-id is not limited per IP', async () => {
+  const guard = guardFor();
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await guard.checkRequest(apiRequest({ endpoint: 'set-id', body: { clientId: `c${i}` } }).request)).rejected, undefined);
+  }
+  assert.equal((await guard.checkRequest(apiRequest({ endpoint: 'set-id', body: { clientId: 'c0' } }).request)).rejected, undefined);
+});
+
+test('with a secret a valid token is required and stripped from the body', async () => {
+  const guard = guardFor({ authSecret: SECRET });
+  assert.equal((await guard.checkRequest(apiRequest({ ip: '1' }).request)).rejected.status, 401);
+
+  const token = await signAccessToken({ sub: 'alice', room: 'r', session: 's' }, SECRET);
+  const body = { clientId: 'alice', sessionId: 's', token };
+  const { claims, body: checkedBody } = await guard.checkRequest(apiRequest({ body, ip: '2' }).request);
+  assert.equal(claims.sub, 'alice');
+  assert.equal(checkedBody.token, undefined);
+});
+
+test('tokens are checked against the room, session, clientId and a requested peer ID', async () => {
+  const guard = guardFor({ authSecret: SECRET });
+  const token = await signAccessToken({ sub: 'alice', room: 'r', session: 's' }, SECRET);
+  const check = async (options) => (await guard.checkRequest(apiRequest({ ...options, query: `token=${token}` }).request)).rejected?.message;
+
+  assert.equal(await check({ ip: '1', body: { clientId: 'alice', sessionId: 'other' } }), 'Token not valid for this session');
+  assert.equal(await check({ ip: '2', body: { clientId: 'bob' } }), 'Token not valid for this clientId');
+  assert.equal(await check({ endpoint: 'set-id', body: { clientId: 'alice', customId: 'bob' } }), 'Token not valid for this peer ID');
+
+  const otherRoom = await signAccessToken({ sub: 'alice', room: 'elsewhere' }, SECRET);
+  const { rejected } = await guard.checkRequest(apiRequest({ ip: '3', authorization: `Bearer ${otherRoom}` }).request);
+  assert.deepEqual(rejected, { status: 403, message: 'Token not valid for this room' });
+});
+
+test('upgrades are limited per IP and need a token for the room', async () => {
+  const open = guardFor();
+  assert.deepEqual(await open.checkUpgrade({ room: 'r', ip: '1', searchParams: new URLSearchParams() }), { claims: null });
+  assert.equal((await open.checkUpgrade({ room: 'r', ip: '1', searchParams: new URLSearchParams() })).rejected.status, 429);
+
+  const guard = guardFor({ authSecret: SECRET });
+  const token = await signAccessToken({ sub: 'alice', room: 'r' }, SECRET);
+  assert.equal((await guard.checkUpgrade({ room: 'r', ip: '2', searchParams: new URLSearchParams() })).rejected.status, 401);
+  assert.equal((await guard.checkUpgrade({ room: 'x', ip: '3', searchParams: new URLSearchParams({ token }) })).rejected.status, 403);
+  assert.equal((await guard.checkUpgrade({ room: 'r', ip: '4', searchParams: new URLSearchParams({ token }) })).claims.sub, 'alice');
+});
+
+test('server.js and the Worker room turn the same requests away', async (t) => {
+  // Refused requests still spend the IP's tokens
+  const roomLimits = { ...limits, join: { capacity: 2, refillPerSecond: 0.1 }, connect: { capacity: 2, refillPerSecond: 0.1 } };
+  const server = await startServer(t, { auth: SECRET, rateLimits: roomLimits });
+  const room = await createRoom(undefined, { AUTH_SECRET: SECRET, RATE_LIMITS: JSON.stringify(roomLimits) });
+  const worker = roomApi(room);
+
+  const alice = await signAccessToken({ sub: 'alice', room: 'r', session: 's' }, SECRET);
+  const steps = [
+    ['/api/connect', {}],
+    ['/api/connect', { token: alice }],
+    ['/api/join', { clientId: 'alice', sessionId: 'other', token: alice }],
+    ['/api/set-id', { clientId: 'alice', customId: 'bob', token: alice }],
+    ['/api/join', { clientId: 'alice', sessionId: 's', token: alice }],
+    ['/api/join', { clientId: 'alice', sessionId: 's', token: alice }]
+  ];
+  const statuses = async (post) => {
+    const seen = [];
+    for (const [path, body] of steps) {
+      const { status, headers } = await post(path, body);
+      seen.push(status === 429 ? [status, headers.get('Retry-After')] : status);
+    }
+    return seen;
+  };
+
+  const expected = [401, 200, 403, 403, 200, [429, '10']];
+  assert.deepEqual(await statuses((path, body) => server.post(`${path}?room=r`, body)), expected);
+  assert.deepEqual(await statuses((path, body) => worker.post(path, body)), expected);
+});
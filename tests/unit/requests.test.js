@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeTransport, createFakeClient, answerJoins } from './helpers/transport.js';
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+test('replies settle the request with the same requestId, in any order', async (t) => {
+  quiet(t);
+  const fake = createFakeTransport();
+  const client = createFakeClient(t, fake);
+  await client.connect();
+
+  const first = client.listRooms();
+  const second = client.listRooms();
+  const [a, b] = fake.sent;
+  assert.notEqual(a.requestId, b.requestId);
+
+  fake.current.deliver({ type: 'room-list', rooms: ['second'], requestId: b.requestId });
+  fake.current.deliver({ type: 'room-list', rooms: ['first'], requestId: a.requestId });
+  assert.deepEqual(await first, ['first']);
+  assert.deepEqual(await second, ['second']);
+});
+
+test('an error reply rejects its request with the status, without an error event', async (t) => {
+  quiet(t);
+  const fake = createFakeTransport({
+    onSend: (message, transport) => transport.deliver({ type: 'error', message: 'Peer ID is taken', status: 409, requestId: message.requestId })
+  });
+  const client = createFakeClient(t, fake);
+  await client.connect();
+  const errors = [];
+  client.on('error', (error) => errors.push(error));
+
+  await assert.rejects(client.setId('alice'), (error) => error.message === 'Peer ID is taken' && error.status === 409);
+  assert.deepEqual(errors, []);
+});
+
+test('an error without a requestId is an error event', async (t) => {
+  quiet(t);
+  const fake = createFakeTransport();
+  const client = createFakeClient(t, fake);
+  await client.connect();
+  const error = client.once('error');
+  fake.current.deliver({ type: 'error', message: 'Room is full' });
+  assert.deepEqual(await error, { message: 'Room is full' });
+});
+
+test('acks resolve signals, and the reply\'s requestId is not passed on', async (t) => {
+  quiet(t);
+  const fake = createFakeTransport({
+    onSend: (message, transport) => {
+      answerJoins(message, transport);
+      if (message.type === 'offer') transport.deliver({ type: 'ack', requestId: message.requestId });
+    }
+  });
+  const client = createFakeClient(t, fake);
+  await client.connect();
+
+  const joined = client.once('joined');
+  const reply = await client.joinSession('s');
+  assert.equal(reply.sessionId, 's');
+  assert.equal('requestId' in (await joined), false);
+  assert.equal(await client.sendOffer({ sdp: 'x' }, 'peer'), undefined);
+  assert.equal(fake.sent[1].sessionId, 's');
+});
+
+test('a request without a reply times out', async (t) => {
+  quiet(t);
+  const fake = createFakeTransport();
+  const client = createFakeClient(t, fake, { requestTimeout: 50 });
+  await client.connect();
+  await assert.rejects(client.listRooms(), /Request list-rooms timed out after 50ms/);
+  await assert.rejects(client.listRooms({ timeout: 10 }), /after 10ms/);
+  assert.equal(client.pendingRequests.size, 0);
+});
+
+test('a failed join can be tried again', async (t) => {
+  quiet(t);
+  let refuse = true;
+  const fake = createFakeTransport({
+    onSend: (message, transport) => {
+      if (refuse) transport.deliver({ type: 'error', message: 'Room is full', status: 429, requestId: message.requestId });
+      else answerJoins(message, transport);
+    }
+  });
+  const client = createFakeClient(t, fake);
+  await client.connect();
+
+  await assert.rejects(client.joinSession('s'), /Room is full/);
+  assert.equal(client.sessionId, null);
+  refuse = false;
+  assert.equal((await client.joinSession('s')).sessionId, 's');
+  // A second call for the same session waits on the same request
+  assert.equal(client.joinSession('s'), client.joinRequest);
+});
+
+test('requests fail at once when not connected, and pending ones on disconnect', async (t) => {
+  quiet(t);
+  const fake = createFakeTransport();
+  const client = createFakeClient(t, fake);
+  await assert.rejects(client.listRooms(), /Not connected to the signaling server/);
+
+  await client.connect();
+  const pending = client.listRooms();
+  client.disconnect();
+  await assert.rejects(pending, /Disconnected from signaling server/);
+});
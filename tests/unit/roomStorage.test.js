@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeState, createRoom, roomApi } from './helpers/durableObject.js';
+
+// Two clients in session s, with an offer from b waiting for a
+async function populatedRoom(state = createFakeState(), env = {}) {
+  const room = await createRoom(state, env);
+  const api = roomApi(room);
+  const { body: { clientId: a } } = await api.post('/api/connect');
+  const { body: { clientId: b } } = await api.post('/api/connect');
+  await api.post('/api/join', { clientId: a, sessionId: 's' });
+  await api.post('/api/join', { clientId: b, sessionId: 's' });
+  await api.get(`/api/poll?clientId=${a}`);
+  await api.post('/api/signal', { clientId: b, sessionId: 's', targetId: a, type: 'offer', offer: { sdp: 'x' } });
+  return { room, api, a, b };
+}
+
+test('a recreated room keeps its clients, sessions and queued messages', async () => {
+  const state = createFakeState();
+  const { a, b } = await populatedRoom(state);
+
+  // Same storage, new object: what an eviction looks like
+  const api = roomApi(await createRoom(createFakeState(state.storage.entries)));
+  const { body } = await api.get(`/api/poll?clientId=${a}`);
+  assert.deepEqual(body.messages.map(({ type, peerId, offer }) => [type, peerId, offer.sdp]), [['offer', b, 'x']]);
+  assert.equal((await api.post('/api/signal', { clientId: a, sessionId: 's', targetId: b, type: 'answer' })).status, 200);
+});
+
+test('each client and queued message has its own key', async () => {
+  const state = createFakeState();
+  const { a, b } = await populatedRoom(state);
+  const keys = Array.from(state.storage.entries.keys()).sort();
+  assert.deepEqual(keys.filter((key) => key.startsWith('client:')), [`client:${a}`, `client:${b}`].sort());
+  assert.equal(keys.filter((key) => key.startsWith(`queue:${a}:`)).length, 1);
+  assert.ok(keys.includes('meta'));
+  assert.equal(state.storage.entries.get('meta').key, 'r');
+});
+
+test('only the keys that changed are written', async () => {
+  const state = createFakeState();
+  const { api, a, b } = await populatedRoom(state);
+  const written = [];
+  const put = state.storage.put;
+  state.storage.put = async (values) => {
+    written.push(...Object.keys(values));
+    return put(values);
+  };
+
+  await api.post('/api/signal', { clientId: b, sessionId: 's', targetId: a, type: 'ice-candidate', candidate: {} });
+  // a's record holds its next seq, so it changes too; b's doesn't
+  assert.deepEqual(written.sort(), [`client:${a}`, `queue:${a}:3`]);
+
+  // Polling only moves lastSeen, which isn't stored
+  written.length = 0;
+  await api.get(`/api/poll?clientId=${b}`);
+  assert.deepEqual(written, []);
+});
+
+test('drained and departed clients are deleted from storage', async () => {
+  const state = createFakeState();
+  const { api, a, b } = await populatedRoom(state);
+  await api.get(`/api/poll?clientId=${a}`);
+  assert.equal(Array.from(state.storage.entries.keys()).some((key) => key.startsWith('queue:')), false);
+
+  await api.post('/api/leave', { clientId: a });
+  await api.post('/api/leave', { clientId: b });
+  assert.deepEqual(Array.from(state.storage.entries.keys()), []);
+});
+
+test('a failed write is retried on the next request', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const state = createFakeState();
+  const room = await createRoom(state);
+  const api = roomApi(room);
+
+  state.storage.failNextPut = true;
+  const { body: { clientId } } = await api.post('/api/connect');
+  assert.equal(state.storage.entries.has(`client:${clientId}`), false);
+  assert.equal(console.log.mock.callCount(), 1);
+
+  await api.get(`/api/poll?clientId=${clientId}`);
+  assert.equal(state.storage.entries.has(`client:${clientId}`), true);
+});
+
+test('a room stored under the old single key is loaded and rewritten', async () => {
+  const legacy = {
+    key: 'r',
+    clients: [{ clientId: 'a', sessionId: 's', seq: 1 }, { clientId: 'b', sessionId: 's', seq: 0 }],
+    queues: [['a', [{ message: { type: 'offer', peerId: 'b', seq: 1 }, size: 40, expiresAt: Date.now() + 60_000 }]]],
+    sessions: [['s', ['a', 'b']]]
+  };
+  const state = createFakeState(new Map([['room', legacy]]));
+  const api = roomApi(await createRoom(state));
+
+  const { body } = await api.get('/api/poll?clientId=a');
+  assert.deepEqual(body.messages.map(({ type }) => type), ['offer']);
+  assert.equal(state.storage.entries.has('room'), false);
+  assert.deepEqual(Array.from(state.storage.entries.keys()).sort(), ['client:a', 'client:b', 'meta']);
+});
+
+test('the alarm prunes stale clients and tells their session', async () => {
+  const state = createFakeState();
+  const { room, api, a, b } = await populatedRoom(state, { CLIENT_TTL_MS: '1000' });
+  assert.notEqual(state.storage.alarm, null);
+
+  // b keeps polling; a goes quiet
+  room.room.clients.get(a).lastSeen -= 5000;
+  state.storage.alarm = null;
+  await room.alarm();
+
+  assert.equal(room.room.clients.has(a), false);
+  assert.equal(state.storage.entries.has(`client:${a}`), false);
+  assert.deepEqual((await api.get(`/api/poll?clientId=${b}`)).body.messages.map(({ type, peerId }) => [type, peerId]), [['peer-left', a]]);
+  // b still needs watching, so the alarm is set again
+  assert.notEqual(state.storage.alarm, null);
+});
+
+test('no alarm is kept once the room is empty', async () => {
+  const state = createFakeState();
+  const room = await createRoom(state, { CLIENT_TTL_MS: '1000' });
+  const api = roomApi(room);
+  const { body: { clientId } } = await api.post('/api/connect');
+  room.room.clients.get(clientId).lastSeen -= 5000;
+
+  state.storage.alarm = null;
+  await room.alarm();
+  assert.equal(state.storage.alarm, null);
+  assert.deepEqual(Array.from(state.storage.entries.keys()), []);
+});
@@ -0,0 +1,295 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSignalingCore, createRoomState } from '../../src/signalingCore.js';
+
+// A core with a controllable clock and predictable IDs
+function setup(options = {}) {
+  let time = 1_000_000;
+  let nextId = 0;
+  const core = createSignalingCore({
+    now: () => time,
+    generateId: () => `client-${++nextId}`,
+    ...options
+  });
+  const state = createRoomState('room');
+  const connect = () => core.connect(state).body.clientId;
+  const advance = (ms) => {
+    time += ms;
+  };
+  return { core, state, connect, advance };
+}
+
+const messages = (core, state, clientId) => core.poll(state, { clientId }).body.messages;
+
+test('connect assigns an ID and refuses taken ones and full rooms', () => {
+  const { core, state } = setup({ maxClientsPerRoom: 2 });
+  const welcome = core.connect(state);
+  assert.equal(welcome.status, 200);
+  assert.equal(welcome.body.type, 'welcome');
+  assert.equal(welcome.body.clientId, 'client-1');
+
+  assert.equal(core.connect(state, { clientId: 'client-1' }).status, 409);
+  core.connect(state);
+  assert.equal(core.connect(state).status, 429);
+});
+
+test('join lists the other members and tells them', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  const b = connect();
+  assert.deepEqual(core.join(state, { clientId: a, sessionId: 's' }).body.clients, []);
+
+  const joined = core.join(state, { clientId: b, sessionId: 's' });
+  assert.equal(joined.body.type, 'joined');
+  assert.deepEqual(joined.body.clients, [a]);
+  assert.deepEqual(messages(core, state, a).map(({ type, peerId }) => [type, peerId]), [['peer-joined', b]]);
+});
+
+test('joining another session leaves the previous one', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's1' });
+  core.join(state, { clientId: b, sessionId: 's1' });
+  core.join(state, { clientId: b, sessionId: 's2' });
+
+  assert.deepEqual(messages(core, state, a).map((m) => m.type), ['peer-joined', 'peer-left']);
+  assert.deepEqual(Array.from(state.sessions.get('s1')), [a]);
+});
+
+test('signal forwards to the target without the requestId or token', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+  core.join(state, { clientId: b, sessionId: 's' });
+  messages(core, state, a);
+
+  const result = core.signal(state, {
+    clientId: a,
+    sessionId: 's',
+    targetId: b,
+    type: 'offer',
+    offer: { sdp: 'x' },
+    requestId: '7',
+    token: 'secret'
+  });
+  assert.equal(result.status, 200);
+
+  const [offer] = messages(core, state, b).filter((m) => m.type === 'offer');
+  assert.equal(offer.peerId, a);
+  assert.deepEqual(offer.offer, { sdp: 'x' });
+  assert.equal('requestId' in offer, false);
+  assert.equal('token' in offer, false);
+});
+
+test('signal refuses server-only message types', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+  core.join(state, { clientId: b, sessionId: 's' });
+
+  for (const type of ['welcome', 'joined', 'ack', 'error', 'room-list', 'session-closed', 'peer-left']) {
+    assert.equal(core.signal(state, { clientId: a, sessionId: 's', targetId: b, type }).status, 400, type);
+  }
+});
+
+test('signal keeps sessions isolated', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's1' });
+  core.join(state, { clientId: b, sessionId: 's2' });
+
+  assert.equal(core.signal(state, { clientId: a, sessionId: 's1', targetId: b, type: 'offer' }).status, 403);
+  assert.equal(core.signal(state, { clientId: a, sessionId: 's2', type: 'offer' }).status, 403);
+  assert.equal(core.signal(state, { clientId: a, sessionId: 's1', targetId: 'nobody', type: 'offer' }).status, 404);
+});
+
+test('a full queue rejects signals with 507 and counts the drop', () => {
+  const { core, state, connect } = setup({ queueMaxMessages: 2 });
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: b, sessionId: 's' });
+  core.join(state, { clientId: a, sessionId: 's' });
+
+  // b already holds peer-joined
+  assert.equal(core.signal(state, { clientId: a, sessionId: 's', targetId: b, type: 'offer' }).status, 200);
+  const full = core.signal(state, { clientId: a, sessionId: 's', targetId: b, type: 'offer' });
+  assert.equal(full.status, 507);
+  assert.deepEqual(full.body.peers, [b]);
+  assert.equal(state.dropped, 1);
+});
+
+test('signaled only fires for signals that were queued', () => {
+  const signaled = [];
+  const { core, state, connect } = setup({ queueMaxMessages: 1, hooks: { signaled: (s, message) => signaled.push(message.type) } });
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+  core.join(state, { clientId: b, sessionId: 's' });
+  messages(core, state, a);
+
+  core.signal(state, { clientId: b, sessionId: 's', targetId: a, type: 'offer' });
+  core.signal(state, { clientId: b, sessionId: 's', targetId: a, type: 'answer' });
+  core.signal(state, { clientId: b, sessionId: 's', type: 'broadcast' });
+  assert.deepEqual(signaled, ['offer']);
+});
+
+test('poll with an ack only drops acknowledged messages', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+  core.join(state, { clientId: b, sessionId: 's' });
+  core.signal(state, { clientId: b, sessionId: 's', targetId: a, type: 'offer' });
+
+  const first = core.poll(state, { clientId: a, ack: 0 }).body.messages;
+  assert.deepEqual(first.map((m) => m.seq), [1, 2]);
+  assert.deepEqual(core.poll(state, { clientId: a, ack: 1 }).body.messages.map((m) => m.seq), [2]);
+  assert.deepEqual(core.poll(state, { clientId: a, ack: 2 }).body.messages, []);
+  assert.equal(core.poll(state, { clientId: 'nobody' }).status, 404);
+});
+
+test('queued messages expire', () => {
+  const { core, state, connect, advance } = setup({ messageTtlMs: 1000, clientTtlMs: 60_000 });
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+  core.join(state, { clientId: b, sessionId: 's' });
+
+  advance(1001);
+  core.pruneStaleClients(state);
+  assert.deepEqual(messages(core, state, a), []);
+});
+
+test('stale clients are pruned and their session told', () => {
+  const pruned = [];
+  const { core, state, connect, advance } = setup({ clientTtlMs: 1000, hooks: { pruned: (s, id) => pruned.push(id) } });
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+  core.join(state, { clientId: b, sessionId: 's' });
+
+  advance(600);
+  messages(core, state, a);
+  advance(600);
+  core.pruneStaleClients(state);
+
+  assert.deepEqual(pruned, [b]);
+  assert.equal(state.clients.has(b), false);
+  assert.deepEqual(messages(core, state, a).map(({ type, peerId }) => [type, peerId]), [['peer-left', b]]);
+});
+
+test('setId renames the client and keeps its session and queue', () => {
+  const renamed = [];
+  const { core, state, connect } = setup({ hooks: { renamed: (s, oldId, newId) => renamed.push([oldId, newId]) } });
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+  core.join(state, { clientId: b, sessionId: 's' });
+
+  assert.equal(core.setId(state, { clientId: a, customId: 'al' }).status, 400);
+  assert.equal(core.setId(state, { clientId: a, customId: b }).status, 409);
+  const result = core.setId(state, { clientId: a, customId: 'alice' });
+  assert.equal(result.body.clientId, 'alice');
+  assert.deepEqual(renamed, [[a, 'alice']]);
+  assert.deepEqual(Array.from(state.sessions.get('s')).sort(), ['alice', b].sort());
+  assert.deepEqual(messages(core, state, 'alice').map((m) => m.type), ['peer-joined']);
+});
+
+test('leaveSession keeps the client while leave removes it', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+
+  assert.deepEqual(core.leaveSession(state, { clientId: a }).body, { ok: true });
+  assert.equal(state.clients.get(a).sessionId, null);
+  assert.equal(state.sessions.has('s'), false);
+
+  core.leave(state, { clientId: a });
+  assert.equal(state.clients.has(a), false);
+});
+
+test('closeSession empties the session and tells its members, who stay connected', () => {
+  const updated = [];
+  const { core, state, connect } = setup({ hooks: { updated: (s, client) => updated.push([client.clientId, client.sessionId]) } });
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+  core.join(state, { clientId: b, sessionId: 's' });
+  messages(core, state, a);
+  updated.length = 0;
+
+  assert.deepEqual(core.closeSession(state, { sessionId: 's' }).body, { ok: true, removed: [a, b] });
+  assert.equal(state.sessions.has('s'), false);
+  assert.deepEqual(updated, [[a, null], [b, null]]);
+  for (const clientId of [a, b]) {
+    assert.equal(state.clients.get(clientId).sessionId, null);
+    assert.deepEqual(messages(core, state, clientId).filter((m) => m.type !== 'peer-joined').map(({ type, sessionId }) => [type, sessionId]), [['session-closed', 's']]);
+  }
+  assert.equal(core.closeSession(state, { sessionId: 's' }).status, 404);
+});
+
+test('handleFrame answers requests and echoes their requestId', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: b, sessionId: 's' });
+  const frame = (clientId, message, options) => core.handleFrame(state, clientId, JSON.stringify(message), options);
+
+  assert.deepEqual(core.handleFrame(state, a, 'nope').reply, { type: 'error', message: 'Invalid JSON' });
+  assert.equal(frame(a, { foo: 1 }).reply.message, 'Message type is required');
+
+  const joined = frame(a, { type: 'join', sessionId: 's', requestId: '1' }).reply;
+  assert.equal(joined.type, 'joined');
+  assert.equal(joined.requestId, '1');
+
+  // Signals get an ack only when one was asked for
+  assert.deepEqual(frame(a, { type: 'offer', targetId: b, requestId: '2' }).reply, { type: 'ack', requestId: '2' });
+  assert.equal(frame(a, { type: 'offer', targetId: b }).reply, null);
+  assert.equal(messages(core, state, b).filter((m) => m.type === 'offer').length, 2);
+
+  const refused = frame(a, { type: 'welcome', targetId: b, requestId: '3' }).reply;
+  assert.equal(refused.status, 400);
+  assert.equal(refused.requestId, '3');
+
+  const renamed = frame(a, { type: 'set-id', customId: 'alice', requestId: '4' });
+  assert.equal(renamed.clientId, 'alice');
+  assert.equal(renamed.reply.type, 'welcome');
+});
+
+test('handleFrame applies rate limits and token claims', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  const endpoints = [];
+  const limit = (endpoint) => {
+    endpoints.push(endpoint);
+    return endpoint === 'join' ? { allowed: false, retryAfter: 3 } : { allowed: true, retryAfter: 0 };
+  };
+  const frame = (message, options) => core.handleFrame(state, a, JSON.stringify(message), options).reply;
+
+  const limited = frame({ type: 'join', sessionId: 's', requestId: '1' }, { limit });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.retryAfter, 3);
+  frame({ type: 'custom' }, { limit });
+  assert.deepEqual(endpoints, ['join', 'signal']);
+
+  const claims = { sub: a, session: 'mine' };
+  assert.equal(frame({ type: 'join', sessionId: 'other' }, { claims }).status, 403);
+  assert.equal(frame({ type: 'set-id', customId: 'someone' }, { claims }).status, 403);
+  assert.equal(frame({ type: 'join', sessionId: 'mine' }, { claims }).type, 'joined');
+});
+
+test('a room survives serializeRoom and restoreRoom', () => {
+  const { core, state, connect } = setup();
+  const a = connect();
+  const b = connect();
+  core.join(state, { clientId: a, sessionId: 's' });
+  core.join(state, { clientId: b, sessionId: 's' });
+
+  const restored = core.restoreRoom(createRoomState('room'), JSON.parse(JSON.stringify(core.serializeRoom(state))));
+  assert.deepEqual(Array.from(restored.sessions.get('s')), [a, b]);
+  assert.deepEqual(messages(core, restored, a).map((m) => m.type), ['peer-joined']);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { createMemoryStore, createFileStore } from '../../src/server/store.js';
+import { createSignalingServer } from '../../src/server/signalingServer.js';
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'uniwrtc-store-')), 'state.jsonl');
+const lines = (filePath) => fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
+const silent = { log() {} };
+
+test('the memory store returns copies of what was saved', async () => {
+  const store = createMemoryStore();
+  const snapshot = { clients: [{ clientId: 'a' }] };
+  await store.save('room', snapshot);
+  snapshot.clients.length = 0;
+  await store.save('other', {});
+  await store.delete('other');
+  assert.deepEqual(await store.load(), [['room', { clients: [{ clientId: 'a' }] }]]);
+});
+
+test('the file store reloads the latest snapshot of each room', async () => {
+  const filePath = tempFile();
+  const store = createFileStore({ filePath });
+  await store.load();
+  await store.save('a', { n: 1 });
+  await store.save('a', { n: 2 });
+  await store.save('b', { n: 1 });
+  await store.delete('b');
+  await store.close();
+
+  const reloaded = createFileStore({ filePath });
+  assert.deepEqual(await reloaded.load(), [['a', { n: 2 }]]);
+  // Loading compacts to one line per room
+  assert.equal(lines(filePath).length, 1);
+});
+
+test('a torn final line is skipped on load', async () => {
+  const filePath = tempFile();
+  fs.writeFileSync(filePath, '{"room":"a","state":{"n":1}}\n{"room":"a","sta');
+  assert.deepEqual(await createFileStore({ filePath }).load(), [['a', { n: 1 }]]);
+});
+
+test('the file is compacted after compactAfter records', async () => {
+  const filePath = tempFile();
+  const store = createFileStore({ filePath, compactAfter: 3 });
+  await store.load();
+  await store.save('a', { n: 1 });
+  await store.save('a', { n: 2 });
+  assert.equal(lines(filePath).length, 2);
+  await store.save('a', { n: 3 });
+  assert.deepEqual(lines(filePath).map((line) => JSON.parse(line)), [{ room: 'a', state: { n: 3 } }]);
+});
+
+test('the file is compacted after compactAfterBytes bytes', async () => {
+  const filePath = tempFile();
+  const store = createFileStore({ filePath, compactAfterBytes: 200 });
+  await store.load();
+  const big = 'x'.repeat(120);
+  await store.save('a', { big, n: 1 });
+  assert.equal(lines(filePath).length, 1);
+  await store.save('a', { big, n: 2 });
+  assert.deepEqual(lines(filePath).map((line) => JSON.parse(line).state.n), [2]);
+});
+
+test('write failures go to the logger and later writes still run', async () => {
+  const filePath = tempFile();
+  const logged = [];
+  const store = createFileStore({ filePath, logger: { log: (...args) => logged.push(args.join(' ')) } });
+  await store.load();
+
+  // A directory where the file should be makes the next append fail
+  fs.rmSync(filePath);
+  fs.mkdirSync(filePath);
+  await store.save('a', { n: 1 });
+  assert.equal(logged.length, 1);
+  assert.match(logged[0], /\[store\] write failed/);
+
+  fs.rmdirSync(filePath);
+  await store.save('a', { n: 2 });
+  assert.deepEqual(lines(filePath).map((line) => JSON.parse(line).state.n), [2]);
+});
+
+test('SSE replay buffers are not persisted', async (t) => {
+  const saved = [];
+  const store = { ...createMemoryStore(), save: async (roomKey, snapshot) => saved.push(snapshot) };
+  const signaling = createSignalingServer({ store, staticDir: null, logger: silent });
+  await signaling.listen(0, '127.0.0.1');
+  t.after(() => signaling.close());
+  const base = `http://127.0.0.1:${signaling.server.address().port}`;
+  const post = async (route, body) => (await fetch(`${base}/api/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })).json();
+
+  const { clientId: a } = await post('connect', {});
+  const { clientId: b } = await post('connect', {});
+  await post('join', { clientId: a, sessionId: 's' });
+
+  // Hold an event stream open for a and wait for b's peer-joined to reach it
+  const received = new Promise((resolve, reject) => {
+    const req = http.get(`${base}/api/events?clientId=${a}`, (res) => {
+      res.on('data', (chunk) => {
+        if (String(chunk).includes('peer-joined')) {
+          req.destroy();
+          resolve();
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+  await post('join', { clientId: b, sessionId: 's' });
+  await received;
+  await post('signal', { clientId: b, sessionId: 's', targetId: a, type: 'offer' });
+
+  const last = saved.at(-1);
+  assert.ok(last.clients.some((client) => client.clientId === a));
+  assert.ok(last.clients.every((client) => !('replay' in client)));
+});
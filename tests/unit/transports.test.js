@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { UniWRTCClient } from '../../client.js';
+import { createSignalingServer } from '../../src/server/signalingServer.js';
+import { silentLogger, startServer } from './helpers/server.js';
+
+// Enough of EventSource for the SSE transport, over http.get. Unlike the real one it
+// doesn't reconnect: a stream that ends is CLOSED.
+class FakeEventSource {
+  static CLOSED = 2;
+
+  constructor(url) {
+    this.readyState = 0;
+    const fail = () => {
+      if (this.readyState === FakeEventSource.CLOSED) return;
+      this.readyState = FakeEventSource.CLOSED;
+      this.onerror?.();
+    };
+    this.request = http.get(url, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return fail();
+      }
+      this.readyState = 1;
+      this.onopen?.();
+      let buffer = '';
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const data = buffer.slice(0, end).split('\n').find((line) => line.startsWith('data:'));
+          buffer = buffer.slice(end + 2);
+          if (data) this.onmessage?.({ data: data.slice('data:'.length).trim() });
+        }
+      });
+      res.on('end', fail);
+    });
+    this.request.on('error', fail);
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+    this.request.destroy();
+  }
+}
+
+// Node has no EventSource of its own
+function setEventSource(t, value) {
+  globalThis.EventSource = value;
+  t.after(() => {
+    delete globalThis.EventSource;
+  });
+}
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+function createClient(t, base, options) {
+  const client = new UniWRTCClient(base, { roomId: 'r', autoReconnect: false, pollWait: 1000, ...options });
+  t.after(() => client.disconnect());
+  return client;
+}
+
+// Joins a to session s, then b, and sends an offer from b to a
+async function exchangeOffer(a, b) {
+  await a.joinSession('s');
+  const joined = a.once('peer-joined');
+  await b.joinSession('s');
+  assert.equal((await joined).peerId, b.clientId);
+  const offer = a.once('offer');
+  await b.sendOffer({ type: 'offer', sdp: 'x' }, a.clientId);
+  return offer;
+}
+
+test('WebSocket and polling clients signal each other', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const { base } = await startServer(t);
+  const a = createClient(t, base, { transport: 'websocket' });
+  const b = createClient(t, base, { transport: 'polling' });
+  await a.connect();
+  await b.connect();
+  assert.deepEqual([a.activeTransport, b.activeTransport], ['websocket', 'polling']);
+
+  const offer = await exchangeOffer(a, b);
+  assert.deepEqual([offer.peerId, offer.offer.sdp], [b.clientId, 'x']);
+
+  // And back, to the polling client
+  const answer = b.once('answer');
+  await a.sendAnswer({ type: 'answer', sdp: 'y' }, b.clientId);
+  assert.equal((await answer).peerId, a.clientId);
+});
+
+test('the SSE transport receives over /api/events and sends over HTTP', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  setEventSource(t, FakeEventSource);
+  const { base } = await startServer(t);
+  const a = createClient(t, base, { transport: 'sse' });
+  const b = createClient(t, base, { transport: 'sse' });
+  await a.connect();
+  await b.connect();
+  assert.equal(a.activeTransport, 'sse');
+
+  const offer = await exchangeOffer(a, b);
+  assert.equal(offer.peerId, b.clientId);
+});
+
+test('a transport that fails is skipped for the next one', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  // A host that never upgrades to WebSocket
+  const signaling = createSignalingServer({ staticDir: null, logger: silentLogger });
+  const host = http.createServer(signaling.handler);
+  await new Promise((resolve) => host.listen(0, '127.0.0.1', resolve));
+  t.after(async () => {
+    await signaling.close();
+    await new Promise((resolve) => host.close(resolve));
+  });
+
+  const client = createClient(t, `http://127.0.0.1:${host.address().port}`, { transports: ['websocket', 'polling'] });
+  const chosen = client.once('transport');
+  await client.connect();
+  assert.deepEqual(await chosen, { name: 'polling' });
+  assert.equal(client.activeTransport, 'polling');
+  assert.match(console.warn.mock.calls[0].arguments[0], /websocket transport failed/);
+});
+
+test('SSE is skipped where there is no EventSource', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const { base } = await startServer(t);
+  const client = createClient(t, base, { transports: ['sse', 'polling'] });
+  await client.connect();
+  assert.equal(client.activeTransport, 'polling');
+});
+
+test('a transport that doesn\'t connect within connectTimeout is skipped', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const { base } = await startServer(t);
+  let closed = false;
+  const stuck = () => ({
+    name: 'stuck',
+    connect: () => new Promise(() => {}),
+    send: () => false,
+    close: () => {
+      closed = true;
+    }
+  });
+  const client = createClient(t, base, { transports: [stuck, 'polling'], connectTimeout: 100 });
+  await client.connect();
+  assert.equal(client.activeTransport, 'polling');
+  assert.equal(closed, true);
+});
+
+test('custom transports plug in as factories', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const sent = [];
+  const loopback = (client, { onMessage }) => ({
+    name: 'loopback',
+    async connect() {
+      onMessage({ type: 'welcome', clientId: 'me' });
+    },
+    send(message) {
+      sent.push(message);
+      onMessage({ type: 'joined', sessionId: message.sessionId, clientId: 'me', clients: [], requestId: message.requestId });
+      return true;
+    },
+    close() {}
+  });
+  const client = createClient(t, 'http://unused.invalid', { transports: [loopback] });
+  assert.equal(await client.connect(), 'me');
+  assert.equal(client.activeTransport, 'loopback');
+  assert.deepEqual((await client.joinSession('s')).clients, []);
+  assert.equal(sent[0].type, 'join');
+});
+
+test('connect() rejects with every transport\'s error when none connects', { timeout: 5000 }, async (t) => {
+  quiet(t);
+  const client = createClient(t, 'http://127.0.0.1:1', { transports: ['carrier-pigeon', 'sse'] });
+  await assert.rejects(client.connect(), /carrier-pigeon: unknown transport; sse: EventSource is not available/);
+  assert.equal(client.transport, null);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { signAccessToken } from '../../src/auth.js';
+import { startServer } from './helpers/server.js';
+
+// A socket to the server's WebSocket endpoint; frames are read in order with next()
+function openSocket(t, base, query = 'room=r') {
+  const ws = new WebSocket(`${base.replace('http', 'ws')}/?${query}`);
+  t.after(() => ws.terminate());
+  const frames = [];
+  const waiting = [];
+  ws.on('message', (data) => {
+    const frame = JSON.parse(data.toString());
+    if (waiting.length) waiting.shift()(frame);
+    else frames.push(frame);
+  });
+  const socket = {
+    ws,
+    send: (message) => ws.send(typeof message === 'string' ? message : JSON.stringify(message)),
+    next: () => (frames.length ? Promise.resolve(frames.shift()) : new Promise((resolve) => waiting.push(resolve)))
+  };
+  return socket;
+}
+
+async function connectSocket(t, base) {
+  const socket = openSocket(t, base);
+  const welcome = await socket.next();
+  return { ...socket, clientId: welcome.clientId, welcome };
+}
+
+test('a socket is welcomed with its clientId', { timeout: 5000 }, async (t) => {
+  const { base, get } = await startServer(t);
+  const { welcome } = await connectSocket(t, base);
+  assert.equal(welcome.type, 'welcome');
+  assert.equal(typeof welcome.clientId, 'string');
+  assert.equal((await get('/health?room=r')).body.clients, 1);
+});
+
+test('sockets join a session and exchange signals', { timeout: 5000 }, async (t) => {
+  const { base } = await startServer(t);
+  const a = await connectSocket(t, base);
+  const b = await connectSocket(t, base);
+
+  a.send({ type: 'join', sessionId: 's' });
+  assert.deepEqual(await a.next(), { type: 'joined', sessionId: 's', clientId: a.clientId, clients: [] });
+  b.send({ type: 'join', sessionId: 's', requestId: 'r1' });
+  const joined = await b.next();
+  assert.deepEqual([joined.requestId, joined.clients], ['r1', [a.clientId]]);
+  assert.deepEqual(await a.next().then(({ type, peerId }) => [type, peerId]), ['peer-joined', b.clientId]);
+
+  // The session comes from the socket's client; the frame's own clientId is ignored
+  b.send({ type: 'offer', targetId: a.clientId, clientId: 'spoofed', offer: { type: 'offer', sdp: 'x' }, requestId: 'r2' });
+  assert.deepEqual(await b.next(), { type: 'ack', requestId: 'r2' });
+  const offer = await a.next();
+  assert.deepEqual([offer.type, offer.peerId, offer.offer.sdp, offer.requestId], ['offer', b.clientId, 'x', undefined]);
+});
+
+test('socket and polling clients in a room signal each other', { timeout: 5000 }, async (t) => {
+  const { base, post, get } = await startServer(t);
+  const a = await connectSocket(t, base);
+  const { body: { clientId: b } } = await post('/api/connect?room=r', {});
+  a.send({ type: 'join', sessionId: 's' });
+  await a.next();
+  await post('/api/join?room=r', { clientId: b, sessionId: 's' });
+  await a.next();
+
+  await post('/api/signal?room=r', { clientId: b, sessionId: 's', targetId: a.clientId, type: 'offer', offer: { sdp: 'x' } });
+  assert.equal((await a.next()).type, 'offer');
+  a.send({ type: 'answer', targetId: b, answer: { sdp: 'y' } });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual((await get(`/api/poll?room=r&clientId=${b}`)).body.messages.map(({ type, peerId }) => [type, peerId]), [['answer', a.clientId]]);
+});
+
+test('bad frames get an error and leave the socket open', { timeout: 5000 }, async (t) => {
+  const { base } = await startServer(t);
+  const a = await connectSocket(t, base);
+  a.send('not json');
+  assert.deepEqual(await a.next(), { type: 'error', message: 'Invalid JSON' });
+  a.send({ sessionId: 's' });
+  assert.deepEqual(await a.next(), { type: 'error', message: 'Message type is required' });
+  a.send({ type: 'offer', targetId: 'nobody', requestId: 'r1' });
+  assert.deepEqual(await a.next().then(({ type, requestId }) => [type, requestId]), ['error', 'r1']);
+  assert.equal(a.ws.readyState, WebSocket.OPEN);
+});
+
+test('set-id renames the socket\'s client, unless the ID is taken', { timeout: 5000 }, async (t) => {
+  const { base } = await startServer(t);
+  const a = await connectSocket(t, base);
+  const b = await connectSocket(t, base);
+  a.send({ type: 'set-id', customId: 'alice', requestId: 'r1' });
+  assert.deepEqual(await a.next().then(({ clientId, requestId }) => [clientId, requestId]), ['alice', 'r1']);
+  b.send({ type: 'set-id', customId: 'alice', requestId: 'r2' });
+  assert.deepEqual(await b.next().then(({ type, status }) => [type, status]), ['error', 409]);
+
+  // Signals now reach the socket under its new ID
+  b.send({ type: 'join', sessionId: 's' });
+  a.send({ type: 'join', sessionId: 's' });
+  await b.next();
+  await a.next();
+  b.send({ type: 'offer', targetId: 'alice', offer: { sdp: 'x' } });
+  assert.equal((await a.next()).type, 'offer');
+});
+
+test('closing a socket removes its client and tells the session', { timeout: 5000 }, async (t) => {
+  const { base, get } = await startServer(t);
+  const a = await connectSocket(t, base);
+  const b = await connectSocket(t, base);
+  a.send({ type: 'join', sessionId: 's' });
+  b.send({ type: 'join', sessionId: 's' });
+  await a.next();
+  await b.next();
+  await a.next();
+
+  b.ws.close();
+  assert.deepEqual(await a.next().then(({ type, peerId }) => [type, peerId]), ['peer-left', b.clientId]);
+  assert.equal((await get('/health?room=r')).body.clients, 1);
+});
+
+test('with auth, upgrades need a token for the room and use its subject', { timeout: 5000 }, async (t) => {
+  const { base } = await startServer(t, { auth: 'secret' });
+  const refused = (query) => new Promise((resolve) => {
+    const ws = new WebSocket(`${base.replace('http', 'ws')}/?${query}`);
+    // ws reports a refused upgrade as "Unexpected server response: <status>"
+    ws.on('error', (err) => resolve(Number(/\d+$/.exec(err.message)?.[0])));
+  });
+  assert.equal(await refused('room=r'), 401);
+  const otherRoom = await signAccessToken({ sub: 'alice', room: 'x' }, 'secret');
+  assert.equal(await refused(`room=r&token=${otherRoom}`), 403);
+
+  const token = await signAccessToken({ sub: 'alice', room: 'r' }, 'secret');
+  const socket = openSocket(t, base, `room=r&token=${token}`);
+  assert.equal((await socket.next()).clientId, 'alice');
+});